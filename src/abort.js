@@ -0,0 +1,178 @@
+/* global AbortController */
+
+import {AbortError, TimeoutError} from './errors.js'
+import {shallowcopy} from './util.js'
+
+/*
+ * Helpers for cancelling operations with abort signals, see
+ * https://dom.spec.whatwg.org/#interface-abortsignal.
+ * Signals are only used via their aborted and reason properties and their abort event,
+ * such that signals of other implementations than the native one can be given as well.
+ */
+
+/**
+ * Returns a new AbortController, or a minimal replacement in runtimes without one.
+ */
+export function createAbortController () {
+  if (typeof AbortController !== 'undefined') {
+    return new AbortController()
+  }
+  let listeners = []
+  let signal = {
+    aborted: false,
+    reason: undefined,
+    onabort: null,
+    addEventListener: (type, listener) => {
+      if (type === 'abort') {
+        listeners.push(listener)
+      }
+    },
+    removeEventListener: (type, listener) => {
+      listeners = listeners.filter(l => l !== listener)
+    }
+  }
+  return {
+    signal,
+    abort: reason => {
+      if (signal.aborted) return
+      signal.aborted = true
+      signal.reason = reason === undefined ? new AbortError('The operation was aborted') : reason
+      let event = {type: 'abort', target: signal}
+      if (signal.onabort) {
+        signal.onabort(event)
+      }
+      listeners.forEach(listener => listener(event))
+    }
+  }
+}
+
+/**
+ * Returns the error for an aborted signal, which is its reason if that is an AbortError already.
+ */
+export function getAbortError (signal) {
+  if (signal.reason instanceof AbortError) {
+    return signal.reason
+  }
+  return new AbortError('The operation was aborted', {reason: signal.reason})
+}
+
+/**
+ * Throws an AbortError if the signal, if given, is aborted.
+ */
+export function throwIfAborted (signal) {
+  if (signal && signal.aborted) {
+    throw getAbortError(signal)
+  }
+}
+
+/**
+ * Aborts the controller when the given signal is aborted.
+ *
+ * @param {object} controller The AbortController to abort.
+ * @param {object} [signal] The signal to follow.
+ * @returns {function} A function which stops following the signal.
+ */
+export function followSignal (controller, signal) {
+  if (!signal) {
+    return () => {}
+  }
+  if (signal.aborted) {
+    controller.abort(signal.reason)
+    return () => {}
+  }
+  let onAbort = () => controller.abort(signal.reason)
+  signal.addEventListener('abort', onAbort)
+  return () => signal.removeEventListener('abort', onAbort)
+}
+
+/**
+ * Returns a Promise which settles like the given one, but fails with an AbortError
+ * as soon as the signal is aborted. This does not stop the underlying operation,
+ * its result is just ignored.
+ *
+ * @param {Promise} promise The Promise of the operation.
+ * @param {object} [signal] The abort signal.
+ */
+export function abortable (promise, signal) {
+  if (!signal) {
+    return Promise.resolve(promise)
+  }
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      // the result is ignored, including failures
+      Promise.resolve(promise).catch(() => {})
+      reject(getAbortError(signal))
+      return
+    }
+    let onAbort = () => reject(getAbortError(signal))
+    signal.addEventListener('abort', onAbort)
+    let done = () => signal.removeEventListener('abort', onAbort)
+    Promise.resolve(promise).then(result => {
+      done()
+      resolve(result)
+    }, e => {
+      done()
+      reject(e)
+    })
+  })
+}
+
+/**
+ * Returns a Promise succeeding after the given delay, or failing with an AbortError
+ * as soon as the signal is aborted.
+ *
+ * @param {number} ms The delay in milliseconds.
+ * @param {object} [signal] The abort signal.
+ */
+export function wait (ms, signal) {
+  let timer
+  let promise = new Promise(resolve => {
+    timer = setTimeout(resolve, ms)
+  })
+  let result = abortable(promise, signal)
+  result.catch(() => clearTimeout(timer))
+  return result
+}
+
+/**
+ * Runs an operation with the signal and timeout given in its options.
+ *
+ * The operation is called with a copy of the options in which the timeout is replaced by
+ * a signal that is aborted when the given signal is aborted or when the timeout has elapsed,
+ * and which the operation passes on to the loader and to any further operations it runs.
+ * The returned Promise fails with an AbortError (a TimeoutError for timeouts) as soon as
+ * that happens, even if the operation does not react to the signal itself.
+ *
+ * @param {object} options The options of the operation.
+ * @param {object} [options.signal] An abort signal.
+ * @param {number} [options.timeout] The timeout in milliseconds.
+ * @param {function} fn The operation, called with the new options and returning a Promise.
+ * @returns {Promise} The Promise of the operation.
+ */
+export function withCancellation (options, fn) {
+  let {signal, timeout} = options
+  if (timeout === undefined) {
+    return abortable(new Promise(resolve => {
+      throwIfAborted(signal)
+      resolve(fn(options))
+    }), signal)
+  }
+  if (typeof timeout !== 'number' || !(timeout >= 0)) {
+    return Promise.reject(new Error('options.timeout must be a non-negative number'))
+  }
+  let controller = createAbortController()
+  let unfollow = followSignal(controller, signal)
+  let timer = setTimeout(() => {
+    controller.abort(new TimeoutError('The operation did not finish within ' + timeout + ' ms', {timeout}))
+  }, timeout)
+  let release = () => {
+    clearTimeout(timer)
+    unfollow()
+  }
+  let newOptions = shallowcopy(options)
+  delete newOptions.timeout
+  newOptions.signal = controller.signal
+  let result = withCancellation(newOptions, fn)
+  result.then(release, release)
+  return result
+}
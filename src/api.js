@@ -1,6 +1,8 @@
-import {promises as jsonld, default as jsonldOriginal} from 'jsonld'
 import urltemplate from 'url-template' 
 
+import {extract, getContextUrls, CONTEXTS} from './ldprofile.js'
+import {CapabilityError, ConstraintError, TemplateError, UnsupportedDocumentError, UnknownContextError} from './errors.js'
+
 const PartialCollectionView = 'PartialCollectionView'
 const IriTemplate = 'IriTemplate'
       
@@ -9,22 +11,38 @@ const COVAPI_API = COVAPI_NS + 'api'
 
 const OSGEO_NS = 'http://a9.com/-/opensearch/extensions/geo/1.0/'
 const OSTIME_NS = 'http://a9.com/-/opensearch/extensions/time/1.0/'
+const OS_NS = 'http://a9.com/-/spec/opensearch/1.1/'
 
-const URL_PROPS = {
+export const URL_PROPS = {
     filterBbox: OSGEO_NS + 'box',
+    filterGeometry: OSGEO_NS + 'geometry',
+    filterLat: OSGEO_NS + 'lat',
+    filterLon: OSGEO_NS + 'lon',
+    filterRadius: OSGEO_NS + 'radius',
     filterTimeStart: OSTIME_NS + 'start',
     filterTimeEnd: OSTIME_NS + 'end',
     filterVerticalStart: COVAPI_NS + 'verticalStart',
     filterVerticalEnd: COVAPI_NS + 'verticalEnd',
+    filterObservedProperty: COVAPI_NS + 'observedProperty',
+    filterSearchTerms: OS_NS + 'searchTerms',
+    filterMetadata: COVAPI_NS + 'metadata',
     subsetBbox: COVAPI_NS + 'subsetBbox',
     subsetTimeStart: COVAPI_NS + 'subsetTimeStart',
     subsetTimeEnd: COVAPI_NS + 'subsetTimeEnd',
+    subsetTimeTarget: COVAPI_NS + 'subsetTimeTarget',
+    subsetPosition: COVAPI_NS + 'subsetPosition',
     subsetVerticalStart: COVAPI_NS + 'subsetVerticalStart',
     subsetVerticalEnd: COVAPI_NS + 'subsetVerticalEnd',
     subsetVerticalTarget: COVAPI_NS + 'subsetVerticalTarget',
-    subsetIndex: COVAPI_NS + 'subsetIndex'
+    subsetIndex: COVAPI_NS + 'subsetIndex',
+    subsetParameters: COVAPI_NS + 'subsetParameters',
+    itemsPerPage: OS_NS + 'itemsPerPage',
+    startIndex: OS_NS + 'startIndex',
+    sort: COVAPI_NS + 'sort',
+    format: COVAPI_NS + 'format'
 }
 
+// only used when falling back to jsonld.js
 const FRAME_CONTEXT = [
    // partial copy of http://www.hydra-cg.com/spec/latest/core/core.jsonld
    {
@@ -58,54 +76,133 @@ const FRAME_CONTEXT = [
      // see https://github.com/json-ld/json-ld.org/issues/400
      // we also want the full object form anyway, which we can force by omitting "@type"
      "property": { "@id": "hydra:property" },
-     'api': COVAPI_API
+     'api': COVAPI_API,
+     'alternate': 'http://www.iana.org/assignments/relation/alternate',
+     'format': 'http://purl.org/dc/terms/format'
      }
    ]
 
-/*
- * We are using a custom jsonld document loader to skip loading the CovJSON context URL
- * which may be included in the document. Instead we load a local partial copy of it.
+/**
+ * Extracts API information from the given Coverage/CoverageCollection object
+ * and returns an API object.
+ *
+ * The API information is read with a built-in parser for the fixed JSON-LD profile of
+ * the API control data (see ldprofile.js). Documents which cannot be handled by it
+ * are processed with jsonld.js instead, if given.
+ *
+ * Remote contexts referenced by the document are never fetched from the network.
+ * They have to be in the context registry, which consists of the built-in partial copies
+ * of the CovJSON and Hydra contexts and the given contexts, or be loadable with the given document loader.
+ * Otherwise the Promise fails with an UnknownContextError.
+ *
+ * @param {object} cov The Coverage or CoverageCollection object.
+ * @param {object} [options]
+ * @param {object} [options.ld=cov.ld] The JSON-LD document to extract API information from.
+ *   For coverages within a collection this is typically the .ld property of the collection.
+ * @param {object} [options.jsonld] The jsonld.js module (0.4 or later), used as fallback for arbitrary JSON-LD documents.
+ * @param {object} [options.contexts] Additional context documents ({'@context': ...}) keyed by context URL.
+ * @param {function} [options.documentLoader] A function which is called with the URL of a context
+ *   which is not in the registry and returns a Promise succeeding with the context document,
+ *   or with a jsonld.js remote document ({document, documentUrl}).
+ * @returns {Promise<API>}
  */
-const CONTEXTS = {
-  "https://rawgit.com/reading-escience-centre/coveragejson/master/contexts/coveragejson-base.jsonld": 
-    {
-      "@context": {
-        "id": "@id",
-        "type": "@type"
+export function discover (cov, options = {}) {
+  // Our main source of API information comes from data within the .ld property.
+  // To query that we need the id of the coverage or coveragecollection.
+  let ld = options.ld || cov.ld
+  if (!cov.id || !ld) {
+    return Promise.resolve(new API())
+  }
+  let registry = Object.assign({}, CONTEXTS, options.contexts)
+  return loadContexts(ld, registry, options.documentLoader).then(contexts =>
+    new Promise(resolve => resolve(new API(extract(ld, cov.id, contexts)))).catch(e => {
+      if (e instanceof UnsupportedDocumentError && options.jsonld) {
+        return frame(options.jsonld, ld, cov.id, contexts).then(compacted => new API(compacted))
       }
-    }
+      throw e
+    }))
 }
-const customLoader = function (url) {
-  if (url in CONTEXTS) {
-    return Promise.resolve({
-      contextUrl: null, // this is for a context via a link header
-      document: CONTEXTS[url], // this is the actual document that was loaded
-      documentUrl: url // this is the actual context URL after redirects
-    })
+
+/**
+ * Document loader function -> Map of context URL -> Promise of the loaded context document,
+ * such that contexts are loaded only once per loader.
+ */
+const loadedContexts = new WeakMap()
+
+/**
+ * Makes sure that all remote contexts referenced by the given JSON-LD document, including
+ * the ones referenced by those contexts, are in the registry by loading missing ones
+ * with the document loader.
+ *
+ * @returns {Promise<object>} The registry extended by the loaded contexts.
+ */
+function loadContexts (ld, registry, documentLoader) {
+  let missing = getContextUrls(ld).filter(url => !(url in registry))
+  if (missing.length === 0) {
+    return Promise.resolve(registry)
+  }
+  if (!documentLoader) {
+    let url = missing[0]
+    return Promise.reject(new UnknownContextError('Unknown JSON-LD context: ' + url +
+      '. Add it to the contexts option or provide a documentLoader.', {url}))
   }
-  // fall-back to default loader
-  return jsonldOriginal.documentLoader(url)
+  return Promise.all(missing.map(url => loadContext(url, documentLoader))).then(docs => {
+    let extended = Object.assign({}, registry)
+    missing.forEach((url, i) => { extended[url] = docs[i] })
+    return loadContexts(docs, extended, documentLoader)
+  })
 }
-const jsonldOpts = {
-  documentLoader: customLoader
+
+function loadContext (url, documentLoader) {
+  if (!loadedContexts.has(documentLoader)) {
+    loadedContexts.set(documentLoader, new Map())
+  }
+  let loaded = loadedContexts.get(documentLoader)
+  if (!loaded.has(url)) {
+    let promise = new Promise(resolve => resolve(documentLoader(url))).then(result => {
+      // jsonld.js document loaders return remote documents where the document may be unparsed
+      let doc = result && 'documentUrl' in result ? result.document : result
+      doc = typeof doc === 'string' ? JSON.parse(doc) : doc
+      if (!doc || typeof doc !== 'object') {
+        throw new Error('Not a JSON-LD document')
+      }
+      return doc
+    }).catch(e => {
+      loaded.delete(url)
+      throw new UnknownContextError('Loading JSON-LD context ' + url + ' failed: ' + e.message, {url, cause: e})
+    })
+    loaded.set(url, promise)
+  }
+  return loaded.get(url)
 }
 
 /**
- * Extracts API information from the given Coverage/CoverageCollection object
- * and returns an API object.
+ * Frames and compacts the given JSON-LD document with jsonld.js
+ * such that Hydra data about the given resource can be read.
+ *
+ * @param {object} contexts The context registry which contains all contexts referenced by the document.
  */
-export function discover (cov) {
-  // Our main source of API information comes from data within the .ld property.
-  // To query that we need the id of the coverage or coveragecollection.
-  if (!cov.id) {
-    return Promise.resolve(new API())
+function frame (jsonldLib, ld, id, contexts) {
+  // jsonld.js >= 1.0 returns Promises from its functions, older versions only via the promises API
+  let jsonld = jsonldLib.promises || jsonldLib
+  // We are using a custom jsonld document loader which only returns contexts from the registry,
+  // e.g. the local partial copy of the CovJSON context, so that nothing is fetched from the network.
+  let documentLoader = url => {
+    if (url in contexts) {
+      return Promise.resolve({
+        contextUrl: null, // this is for a context via a link header
+        document: contexts[url], // this is the actual document that was loaded
+        documentUrl: url // this is the actual context URL after redirects
+      })
+    }
+    return Promise.reject(new UnknownContextError('Unknown JSON-LD context: ' + url, {url}))
   }
-  return jsonld.frame(cov.ld, {
+  let opts = {documentLoader}
+  return jsonld.frame(ld, {
     '@context': FRAME_CONTEXT,
-    id: cov.id
-  }, jsonldOpts)
-  .then(framed => jsonld.compact(framed, framed['@context'], jsonldOpts))
-  .then(compacted => new API(compacted))
+    id
+  }, opts)
+  .then(framed => jsonld.compact(framed, framed['@context'], opts))
 }
 
 export class API {
@@ -115,6 +212,9 @@ export class API {
   constructor (ld = {}) {
     this.supportedUrlProps = new Map()
     
+    // Link alternate relations, e.g. to the same resource in other formats
+    this.alternates = [].concat(ld.alternate || []).map(alt => ({url: alt.id, format: alt.format}))
+
     if (ld.view && ld.view.type === PartialCollectionView) {
       this.isPaged = true
       this.paging = ld.view
@@ -125,7 +225,8 @@ export class API {
       this.hasUrlTemplate = true
       this.urlTemplate = ld.api
       
-      let mappings = ld.api.mapping
+      // compaction turns single-element arrays into plain values
+      let mappings = [].concat(ld.api.mapping || [])
       for (let mapping of mappings) {
         let propId = mapping.property.id
         for (let prop in URL_PROPS) {
@@ -143,6 +244,28 @@ export class API {
     return this.supportedUrlProps.has(URL_PROPS.filterBbox)
   }
   
+  get supportsGeometryFiltering () {
+    return this.supportedUrlProps.has(URL_PROPS.filterGeometry)
+  }
+
+  get supportsRadiusFiltering () {
+    return this.supportedUrlProps.has(URL_PROPS.filterLat) &&
+           this.supportedUrlProps.has(URL_PROPS.filterLon) &&
+           this.supportedUrlProps.has(URL_PROPS.filterRadius)
+  }
+
+  get supportsObservedPropertyFiltering () {
+    return this.supportedUrlProps.has(URL_PROPS.filterObservedProperty)
+  }
+
+  get supportsSearchTermsFiltering () {
+    return this.supportedUrlProps.has(URL_PROPS.filterSearchTerms)
+  }
+
+  get supportsMetadataFiltering () {
+    return this.supportedUrlProps.has(URL_PROPS.filterMetadata)
+  }
+
   get supportsBboxSubsetting () {
     return this.supportedUrlProps.has(URL_PROPS.subsetBbox)
   }
@@ -170,15 +293,44 @@ export class API {
   get supportsVerticalTargetSubsetting () {
     return this.supportedUrlProps.has(URL_PROPS.subsetVerticalTarget)
   }
+
+  get supportsTimeTargetSubsetting () {
+    return this.supportedUrlProps.has(URL_PROPS.subsetTimeTarget)
+  }
+
+  get supportsPositionSubsetting () {
+    return this.supportedUrlProps.has(URL_PROPS.subsetPosition)
+  }
   
   get supportsIndexSubsetting () {
     return this.supportedUrlProps.has(URL_PROPS.subsetIndex)
   }
   
+  get supportsParameterSubsetting () {
+    return this.supportedUrlProps.has(URL_PROPS.subsetParameters)
+  }
+
+  get supportsItemsPerPage () {
+    return this.supportedUrlProps.has(URL_PROPS.itemsPerPage)
+  }
+
+  get supportsStartIndex () {
+    return this.supportedUrlProps.has(URL_PROPS.startIndex)
+  }
+
+  get supportsSorting () {
+    return this.supportedUrlProps.has(URL_PROPS.sort)
+  }
+
+  get supportsFormat () {
+    return this.supportedUrlProps.has(URL_PROPS.format)
+  }
+
   _createCapabilities () {
     let caps = {
       filter: {},
-      subset: {}
+      subset: {},
+      paging: {}
     }
     let startstop = () => ({
       start: true,
@@ -197,6 +349,23 @@ export class API {
         dependency: ['x']
       }
     }
+    if (this.supportsGeometryFiltering || this.supportsRadiusFiltering) {
+      // not an axis concept, the geometry is evaluated against the horizontal extent
+      caps.filter.geometry = {
+        polygon: this.supportsGeometryFiltering,
+        circle: this.supportsRadiusFiltering
+      }
+    }
+    // not axis concepts, these are evaluated against the parameters and metadata
+    if (this.supportsObservedPropertyFiltering) {
+      caps.filter.observedProperty = true
+    }
+    if (this.supportsSearchTermsFiltering) {
+      caps.filter.searchTerms = true
+    }
+    if (this.supportsMetadataFiltering) {
+      caps.filter.metadata = true
+    }
     if (this.supportsTimeFiltering) {
       caps.filter.time = startstop()
     }
@@ -227,6 +396,23 @@ export class API {
       }
       caps.subset.vertical.target = true
     }
+    if (this.supportsTimeTargetSubsetting) {
+      if (!caps.subset.time) {
+        caps.subset.time = {}
+      }
+      caps.subset.time.target = true
+    }
+    if (this.supportsPositionSubsetting) {
+      // a position needs both x and y targets
+      if (!caps.subset.x) {
+        caps.subset.x = {dependency: ['y']}
+      }
+      if (!caps.subset.y) {
+        caps.subset.y = {dependency: ['x']}
+      }
+      caps.subset.x.target = true
+      caps.subset.y.target = true
+    }
     if (this.supportsIndexSubsetting) {
       caps.subset.index = {
         start: true,
@@ -234,21 +420,49 @@ export class API {
         step: true
       }
     }
+    if (this.supportsParameterSubsetting) {
+      // not an axis concept, the subset contains only the given parameters
+      caps.subset.parameters = true
+    }
+    if (this.supportsItemsPerPage) {
+      caps.paging.limit = true
+    }
+    if (this.supportsStartIndex) {
+      caps.paging.offset = true
+    }
+    if (this.supportsSorting) {
+      caps.paging.sort = true
+    }
     this.capabilities = caps
   }
   
   /**
-   * Option keys: time, x, y, vertical
+   * Option keys: time, x, y, vertical, geometry, observedProperty, searchTerms, metadata
    * 
    * Each value except for 'embed' is one of (check this.capabilities to see which ones are supported!):
    * 
+   * For time, x, y, vertical:
    * {start, stop} // intersect match
+   *
+   * For geometry (longitudes and latitudes in degrees):
+   * {polygon: [[lon, lat], ...]} // intersect match with a polygon
+   * {lon, lat, radius} // intersect match with a circle, radius in meters
+   *
+   * For observedProperty:
+   * URI or [URI, ...] // any parameter has one of the observed properties
+   *
+   * For searchTerms:
+   * string // free text search
+   *
+   * For metadata:
+   * {<field>: value or [value, ...], ...} // passed as associative template variable
    */
   _getFilterTemplateVars (options = {}) {
     let templateVars = {}
     if (options.time) {
       if (!this.supportsTimeFiltering) {
-        throw new Error('Time filtering not supported!')
+        throw this._capabilityError('Time filtering not supported!', 'filter', 'time', options.time,
+          ['filterTimeStart', 'filterTimeEnd'])
       }
       let isoStart = options.time.start
       let isoEnd = options.time.stop
@@ -258,7 +472,8 @@ export class API {
     }
     if (options.vertical) {
       if (!this.supportsVerticalFiltering) {
-        throw new Error('Vertical filtering not supported!')
+        throw this._capabilityError('Vertical filtering not supported!', 'filter', 'vertical', options.vertical,
+          ['filterVerticalStart', 'filterVerticalEnd'])
       }
       let start = getNumberString(options.vertical.start)
       let end = getNumberString(options.vertical.stop)
@@ -268,20 +483,70 @@ export class API {
     }
     if (options.x) {
       if (!this.supportsBboxFiltering) {
-        throw new Error('BBOX filtering not supported!')
+        throw this._capabilityError('BBOX filtering not supported!', 'filter', 'x', {x: options.x, y: options.y},
+          ['filterBbox'])
       }
       let bboxStr = getBboxString([options.x.start, options.y.start, options.x.stop, options.y.stop])
       templateVars[this.supportedUrlProps.get(URL_PROPS.filterBbox)] = bboxStr
       delete options.x
       delete options.y
     }
-    checkEmpty(options, 'Unrecognized filter options')
+    if (options.geometry && 'polygon' in options.geometry) {
+      if (!this.supportsGeometryFiltering) {
+        throw this._capabilityError('Geometry filtering not supported!', 'filter', 'geometry', options.geometry,
+          ['filterGeometry'])
+      }
+      let wkt = getPolygonWKTString(options.geometry.polygon)
+      templateVars[this.supportedUrlProps.get(URL_PROPS.filterGeometry)] = wkt
+      delete options.geometry
+    } else if (options.geometry) {
+      if (!this.supportsRadiusFiltering) {
+        throw this._capabilityError('Radius filtering not supported!', 'filter', 'geometry', options.geometry,
+          ['filterLat', 'filterLon', 'filterRadius'])
+      }
+      let {lat, lon, radius} = options.geometry
+      templateVars[this.supportedUrlProps.get(URL_PROPS.filterLat)] = getNumberString(lat)
+      templateVars[this.supportedUrlProps.get(URL_PROPS.filterLon)] = getNumberString(lon)
+      templateVars[this.supportedUrlProps.get(URL_PROPS.filterRadius)] = getNumberString(radius)
+      delete options.geometry
+    }
+    if (options.observedProperty) {
+      if (!this.supportsObservedPropertyFiltering) {
+        throw this._capabilityError('observedProperty filtering not supported!', 'filter', 'observedProperty',
+          options.observedProperty, ['filterObservedProperty'])
+      }
+      let uris = Array.isArray(options.observedProperty) ? options.observedProperty : [options.observedProperty]
+      templateVars[this.supportedUrlProps.get(URL_PROPS.filterObservedProperty)] = uris
+      delete options.observedProperty
+    }
+    if (options.searchTerms) {
+      if (!this.supportsSearchTermsFiltering) {
+        throw this._capabilityError('searchTerms filtering not supported!', 'filter', 'searchTerms',
+          options.searchTerms, ['filterSearchTerms'])
+      }
+      templateVars[this.supportedUrlProps.get(URL_PROPS.filterSearchTerms)] = options.searchTerms
+      delete options.searchTerms
+    }
+    if (options.metadata) {
+      if (!this.supportsMetadataFiltering) {
+        throw this._capabilityError('metadata filtering not supported!', 'filter', 'metadata',
+          options.metadata, ['filterMetadata'])
+      }
+      let fields = {}
+      for (let field of Object.keys(options.metadata)) {
+        let value = options.metadata[field]
+        fields[field] = Array.isArray(value) ? value.join(',') : value
+      }
+      templateVars[this.supportedUrlProps.get(URL_PROPS.filterMetadata)] = fields
+      delete options.metadata
+    }
+    checkEmpty(options, 'filter')
 
     return templateVars
   }
   
   /**
-   * Option keys: time, x, y, vertical, index
+   * Option keys: time, x, y, vertical, index, parameters
    * 
    * Each value is one of (check this.capabilities to see which ones are supported!):
    * 
@@ -289,17 +554,28 @@ export class API {
    * ISO string // exact match (time)
    * number // exact match (x, y, vertical) <- typically not supported by API
    * {start, stop} // intersect match
-   * {target} // nearest neighbor match
+   * {target} // nearest neighbor match (x and y only together, as position)
    * 
    * For index:
    * {<axisName>: integer, ...}
    * {<axisName>: {start,stop[,step]}, ...}
+   *
+   * For parameters:
+   * [<parameterKey>, ...]
    */
   _getSubsetTemplateVars (options = {}) {
     let templateVars = {}
-    if (options.time) {
+    if (options.time && 'target' in options.time) {
+      if (!this.supportsTimeTargetSubsetting) {
+        throw this._capabilityError('Time target subsetting not supported!', 'subset', 'time', options.time,
+          ['subsetTimeTarget'])
+      }
+      templateVars[this.supportedUrlProps.get(URL_PROPS.subsetTimeTarget)] = options.time.target
+      delete options.time
+    } else if (options.time) {
       if (!this.supportsTimeSubsetting) {
-        throw new Error('Time subsetting not supported!')
+        throw this._capabilityError('Time subsetting not supported!', 'subset', 'time', options.time,
+          ['subsetTimeStart', 'subsetTimeEnd'])
       }
       let isoStart = options.time.start
       let isoEnd = options.time.stop
@@ -307,9 +583,23 @@ export class API {
       templateVars[this.supportedUrlProps.get(URL_PROPS.subsetTimeEnd)] = isoEnd
       delete options.time
     }
-    if (options.x) {
+    if (options.x && 'target' in options.x) {
+      if (!this.supportsPositionSubsetting) {
+        throw this._capabilityError('Position subsetting not supported!', 'subset', 'x', {x: options.x, y: options.y},
+          ['subsetPosition'])
+      }
+      if (!options.y || !('target' in options.y)) {
+        throw new ConstraintError('Position subsetting requires both x and y targets',
+          {operation: 'subset', concept: 'y', constraint: options.y})
+      }
+      let positionStr = [options.x.target, options.y.target].map(getNumberString).join(',')
+      templateVars[this.supportedUrlProps.get(URL_PROPS.subsetPosition)] = positionStr
+      delete options.x
+      delete options.y
+    } else if (options.x) {
       if (!this.supportsBboxSubsetting) {
-        throw new Error('BBOX subsetting not supported!')
+        throw this._capabilityError('BBOX subsetting not supported!', 'subset', 'x', {x: options.x, y: options.y},
+          ['subsetBbox'])
       }
       let bboxStr = getBboxString([options.x.start, options.y.start, options.x.stop, options.y.stop])
       templateVars[this.supportedUrlProps.get(URL_PROPS.subsetBbox)] = bboxStr
@@ -317,16 +607,18 @@ export class API {
       delete options.y
     }
     if (options.vertical) {
-      if (options.vertical.target) {
+      if ('target' in options.vertical) {
         if (!this.supportsVerticalTargetSubsetting) {
-          throw new Error('vertical target subsetting not supported!')
+          throw this._capabilityError('vertical target subsetting not supported!', 'subset', 'vertical', options.vertical,
+            ['subsetVerticalTarget'])
         }
         let target = getNumberString(options.vertical.target)
         templateVars[this.supportedUrlProps.get(URL_PROPS.subsetVerticalTarget)] = target
       }
-      if (options.vertical.start) {
+      if ('start' in options.vertical) {
         if (!this.supportsVerticalSubsetting) {
-          throw new Error('vertical subsetting not supported!')
+          throw this._capabilityError('vertical subsetting not supported!', 'subset', 'vertical', options.vertical,
+            ['subsetVerticalStart', 'subsetVerticalEnd'])
         }
         let start = getNumberString(options.vertical.start)
         let end = getNumberString(options.vertical.stop)
@@ -337,39 +629,123 @@ export class API {
     }
     if (options.index) {
       if (!this.supportsIndexSubsetting) {
-        throw new Error('index subsetting not supported!')
+        throw this._capabilityError('index subsetting not supported!', 'subset', 'index', options.index,
+          ['subsetIndex'])
       }
       let strings = []
       for (let axis of Object.keys(options.index)) {
         strings.push(getIndexSubsetString(axis, options.index[axis]))
       }
       templateVars[this.supportedUrlProps.get(URL_PROPS.subsetIndex)] = strings
+      delete options.index
+    }
+    if (options.parameters) {
+      if (!this.supportsParameterSubsetting) {
+        throw this._capabilityError('parameter subsetting not supported!', 'subset', 'parameters', options.parameters,
+          ['subsetParameters'])
+      }
+      templateVars[this.supportedUrlProps.get(URL_PROPS.subsetParameters)] = options.parameters
+      delete options.parameters
     }
-    checkEmpty(options, 'Unrecognized subset options')
+    checkEmpty(options, 'subset')
     
     return templateVars
   }
   
+  /**
+   * Option keys: limit, offset, sort
+   *
+   * limit: integer // maximum number of coverages per page, as itemsPerPage
+   * offset: integer // 0-based index of the first coverage, as 1-based startIndex
+   * sort: {key, order} // order is 'asc' or 'desc', the latter is expressed as '-' + key
+   */
+  _getPagingTemplateVars (options = {}) {
+    let templateVars = {}
+    if ('limit' in options) {
+      if (!this.supportsItemsPerPage) {
+        throw this._capabilityError('itemsPerPage not supported!', 'paging', 'limit', options.limit,
+          ['itemsPerPage'])
+      }
+      templateVars[this.supportedUrlProps.get(URL_PROPS.itemsPerPage)] = getNumberString(options.limit)
+      delete options.limit
+    }
+    if ('offset' in options) {
+      if (!this.supportsStartIndex) {
+        throw this._capabilityError('startIndex not supported!', 'paging', 'offset', options.offset,
+          ['startIndex'])
+      }
+      templateVars[this.supportedUrlProps.get(URL_PROPS.startIndex)] = getNumberString(options.offset + 1)
+      delete options.offset
+    }
+    if (options.sort) {
+      if (!this.supportsSorting) {
+        throw this._capabilityError('Sorting not supported!', 'paging', 'sort', options.sort,
+          ['sort'])
+      }
+      let {key, order} = options.sort
+      templateVars[this.supportedUrlProps.get(URL_PROPS.sort)] = order === 'desc' ? '-' + key : key
+      delete options.sort
+    }
+    checkEmpty(options, 'paging')
+
+    return templateVars
+  }
+
   getUrl (options) {
     // deep-copy as we delete properties after they are applied
     options = JSON.parse(JSON.stringify(options))
     let subsetTemplateVars = this._getSubsetTemplateVars(options.subset)
     let filterTemplateVars = this._getFilterTemplateVars(options.filter)
+    let pagingTemplateVars = this._getPagingTemplateVars(options.paging)
     
     let templateVars = subsetTemplateVars
-    for (let key in filterTemplateVars) {
-      templateVars[key] = filterTemplateVars[key]
+    for (let vars of [filterTemplateVars, pagingTemplateVars]) {
+      for (let key in vars) {
+        templateVars[key] = vars[key]
+      }
+    }
+    if (options.format) {
+      if (!this.supportsFormat) {
+        throw this._capabilityError('Format selection not supported!', 'format', 'format', options.format,
+          ['format'])
+      }
+      // the media type of the requested format
+      templateVars[this.supportedUrlProps.get(URL_PROPS.format)] = options.format
     }
     
-    let url = urltemplate.parse(this.urlTemplate.template).expand(templateVars)
-    return url
+    if (!this.hasUrlTemplate) {
+      throw new TemplateError('The API has no URL template')
+    }
+    let template = this.urlTemplate.template
+    try {
+      return urltemplate.parse(template).expand(templateVars)
+    } catch (e) {
+      throw new TemplateError('Invalid URL template: ' + template, {template, cause: e})
+    }
+  }
+
+  /**
+   * Returns a CapabilityError for a constraint which cannot be expressed with the URL template.
+   *
+   * @param {Array<string>} urlProps The keys of URL_PROPS required for the constraint.
+   */
+  _capabilityError (message, operation, concept, constraint, urlProps) {
+    let missingUrlProperties = urlProps.map(prop => URL_PROPS[prop]).filter(uri => !this.supportedUrlProps.has(uri))
+    return new CapabilityError(message, {operation, concept, constraint, missingUrlProperties})
   }
   
 }
 
-function checkEmpty (obj, err) {
-  if (Object.keys(obj).length > 0) {
-    throw new Error(err)
+/**
+ * Throws a ConstraintError if there are any remaining (unrecognized) options.
+ *
+ * @param {string} operation 'filter', 'subset', or 'paging'
+ */
+function checkEmpty (obj, operation) {
+  let keys = Object.keys(obj)
+  if (keys.length > 0) {
+    throw new ConstraintError('Unrecognized ' + operation + ' options: ' + keys.join(', '),
+      {operation, concept: keys[0], constraint: obj[keys[0]]})
   }
 }
 
@@ -377,6 +753,18 @@ function getBboxString (bbox) {
   return bbox.map(getNumberString).join(',')
 }
 
+/**
+ * Returns the WKT string of a polygon given as [[lon, lat], ...],
+ * closing the ring if necessary.
+ */
+function getPolygonWKTString (ring) {
+  let [first, last] = [ring[0], ring[ring.length - 1]]
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    ring = [...ring, first]
+  }
+  return 'POLYGON((' + ring.map(pos => pos.map(getNumberString).join(' ')).join(',') + '))'
+}
+
 /**
  * Converts a number to a decimal string in non-scientific notation.
  */
@@ -397,7 +785,7 @@ function getIndexSubsetString (axis, spec) {
   } else if (spec.start === spec.stop && (!spec.step || spec.step === 1)) {
     slice = getNumberString(spec.start)
   } else {
-    slice = getNumberString(spec.start) + ':' + getNumberString(stop)
+    slice = getNumberString(spec.start) + ':' + getNumberString(spec.stop)
     if (spec.step) {
       slice += ':' + getNumberString(spec.step)
     }
@@ -0,0 +1,278 @@
+/* global indexedDB */
+
+/**
+ * A cache for data loaded via the loader function given in the wrap options.
+ * Entries are keyed by the normalized URL, see normalizeUrl(), and the requested format (if any),
+ * as the same URL may be loaded in several formats via content negotiation.
+ *
+ * Concurrent requests for the same URL are de-duplicated, that is,
+ * the loader is called only once and all requests share the result.
+ *
+ * Persistent stores (like IndexedDBStore) cannot store coverage data objects directly.
+ * For those, serialize and deserialize functions have to be given which convert
+ * the objects returned by the loader to/from JSON-compatible values.
+ *
+ * @example
+ * var cache = new CoverageREST.Cache({store: new CoverageREST.MemoryStore({maxEntries: 50}), maxAge: 60000})
+ * CoverageREST.wrap(cov, {loader: CovJSON.read, cache: cache})
+ */
+export class Cache {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.store] The backend to store entries in, by default a MemoryStore.
+   * @param {number} [options.maxAge] The time in milliseconds after which an entry expires.
+   *   By default, entries don't expire.
+   * @param {function} [options.serialize]
+   *   A function converting a loaded object to a JSON-compatible value, optionally returning a Promise.
+   *   Required for persistent stores.
+   * @param {function} [options.deserialize]
+   *   A function converting a stored value back to an object as returned by the loader,
+   *   optionally returning a Promise. Required for persistent stores.
+   */
+  constructor (options = {}) {
+    this._store = options.store || new MemoryStore()
+    this._maxAge = options.maxAge
+    if (this._store.persistent && (!options.serialize || !options.deserialize)) {
+      throw new Error('options.serialize and options.deserialize are required for persistent stores')
+    }
+    this._serialize = options.serialize || (data => data)
+    this._deserialize = options.deserialize || (value => value)
+    this._inFlight = new Map()
+  }
+
+  /**
+   * Returns the cached object for the given URL, or loads it with the given loader
+   * and stores the result in the cache.
+   *
+   * @param {string} url The URL to load.
+   * @param {object} options The options to pass to the loader.
+   * @param {string} [options.format] The media type of the requested format.
+   * @param {function} loader The function used for loading, called as loader(url, options).
+   * @returns {Promise} A Promise succeeding with the (cached) object.
+   */
+  load (url, options, loader) {
+    let key = normalizeUrl(url)
+    if (options && options.format) {
+      key += ' ' + options.format
+    }
+    if (this._inFlight.has(key)) {
+      return this._inFlight.get(key)
+    }
+    // a failing store must not prevent loading, hence errors are treated like cache misses
+    let promise = this._store.get(key).catch(() => {}).then(entry => {
+      if (entry && !this._isExpired(entry)) {
+        return this._deserialize(entry.value)
+      }
+      // expired entries would otherwise keep taking up space in the store until evicted,
+      // the new entry is stored only after the expired one is removed
+      let removed = entry ? this._store.delete(key).catch(() => {}) : Promise.resolve()
+      return loader(url, options).then(data => {
+        return Promise.all([this._serialize(data), removed])
+          .then(([value]) => this._store.set(key, {value, created: Date.now()}))
+          .catch(() => {})
+          .then(() => data)
+      })
+    })
+    this._inFlight.set(key, promise)
+    let done = () => this._inFlight.delete(key)
+    promise.then(done, done)
+    return promise
+  }
+
+  /**
+   * Removes all entries from the cache.
+   *
+   * @returns {Promise}
+   */
+  clear () {
+    return this._store.clear()
+  }
+
+  _isExpired (entry) {
+    return this._maxAge !== undefined && Date.now() - entry.created > this._maxAge
+  }
+}
+
+/**
+ * An in-memory store which evicts the least recently used entries
+ * when the maximum number of entries is reached.
+ *
+ * The store interface, which custom stores also have to implement, consists of
+ * get(key), set(key, entry), delete(key), and clear(), each returning a Promise.
+ * An entry is an object {value, created} where created is a timestamp in milliseconds.
+ * Stores that require JSON-compatible values have a persistent property set to true.
+ */
+export class MemoryStore {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxEntries=100] The maximum number of entries to keep.
+   */
+  constructor (options = {}) {
+    this.persistent = false
+    this._maxEntries = options.maxEntries || 100
+    this._entries = new Map()
+  }
+
+  get (key) {
+    let entry = this._entries.get(key)
+    if (entry) {
+      // re-insert to mark as most recently used
+      this._entries.delete(key)
+      this._entries.set(key, entry)
+    }
+    return Promise.resolve(entry)
+  }
+
+  set (key, entry) {
+    this._entries.delete(key)
+    this._entries.set(key, entry)
+    while (this._entries.size > this._maxEntries) {
+      this._entries.delete(this._entries.keys().next().value)
+    }
+    return Promise.resolve()
+  }
+
+  delete (key) {
+    this._entries.delete(key)
+    return Promise.resolve()
+  }
+
+  clear () {
+    this._entries.clear()
+    return Promise.resolve()
+  }
+}
+
+const IDB_STORE_NAME = 'entries'
+
+/**
+ * A persistent store for browsers using IndexedDB which evicts the oldest entries
+ * when the maximum number of entries is reached.
+ */
+export class IndexedDBStore {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.name='coverage-rest-client-cache'] The name of the IndexedDB database.
+   * @param {number} [options.maxEntries=1000] The maximum number of entries to keep.
+   */
+  constructor (options = {}) {
+    if (typeof indexedDB === 'undefined') {
+      throw new Error('IndexedDB is not available in this environment')
+    }
+    this.persistent = true
+    this._maxEntries = options.maxEntries || 1000
+    this._db = new Promise((resolve, reject) => {
+      let req = indexedDB.open(options.name || 'coverage-rest-client-cache', 1)
+      req.onupgradeneeded = () => {
+        let store = req.result.createObjectStore(IDB_STORE_NAME, {keyPath: 'key'})
+        store.createIndex('created', 'created')
+      }
+      req.onsuccess = () => resolve(req.result)
+      req.onerror = () => reject(req.error)
+    })
+  }
+
+  get (key) {
+    return this._transaction('readonly', store => store.get(key)).then(record => {
+      if (record) {
+        return {value: record.value, created: record.created}
+      }
+    })
+  }
+
+  set (key, entry) {
+    return this._transaction('readwrite', store => {
+      store.put({key, value: entry.value, created: entry.created})
+      let countReq = store.count()
+      countReq.onsuccess = () => {
+        let excess = countReq.result - this._maxEntries
+        if (excess <= 0) return
+        // the index is ordered by creation time, so we delete from the start
+        store.index('created').openCursor().onsuccess = e => {
+          let cursor = e.target.result
+          if (cursor && excess > 0) {
+            cursor.delete()
+            excess--
+            cursor.continue()
+          }
+        }
+      }
+    })
+  }
+
+  delete (key) {
+    return this._transaction('readwrite', store => store.delete(key))
+  }
+
+  clear () {
+    return this._transaction('readwrite', store => store.clear())
+  }
+
+  /**
+   * Runs a transaction and resolves with the result of the request returned by fn (if any).
+   */
+  _transaction (mode, fn) {
+    return this._db.then(db => new Promise((resolve, reject) => {
+      let tx = db.transaction(IDB_STORE_NAME, mode)
+      let req = fn(tx.objectStore(IDB_STORE_NAME))
+      tx.oncomplete = () => resolve(req ? req.result : undefined)
+      tx.onerror = () => reject(tx.error)
+      tx.onabort = () => reject(tx.error)
+    }))
+  }
+}
+
+const DEFAULT_PORTS = {
+  'http:': '80',
+  'https:': '443'
+}
+
+/**
+ * Normalizes a URL such that equivalent URLs as produced by URL templates
+ * result in the same string. This is used as key for cache entries.
+ *
+ * The scheme and host are lower-cased, default ports and the fragment are removed,
+ * percent-encoding of query parameters is normalized, and query parameters are sorted by name
+ * (keeping the order of repeated parameters with the same name).
+ *
+ * @param {string} url The URL to normalize.
+ * @returns {string} The normalized URL.
+ */
+export function normalizeUrl (url) {
+  url = url.split('#')[0]
+  let queryIdx = url.indexOf('?')
+  let base = queryIdx === -1 ? url : url.substr(0, queryIdx)
+  let query = queryIdx === -1 ? '' : url.substr(queryIdx + 1)
+
+  base = base.replace(/^([a-z][a-z0-9+.-]*:)\/\/([^/]*)/i, (match, scheme, authority) => {
+    scheme = scheme.toLowerCase()
+    authority = authority.toLowerCase()
+    let port = DEFAULT_PORTS[scheme]
+    if (port && authority.endsWith(':' + port)) {
+      authority = authority.substr(0, authority.length - port.length - 1)
+    }
+    return scheme + '//' + authority
+  })
+
+  let params = query.split('&')
+    .filter(param => param.length > 0)
+    .map((param, i) => {
+      let eqIdx = param.indexOf('=')
+      let name = normalizeEncoding(eqIdx === -1 ? param : param.substr(0, eqIdx))
+      let value = eqIdx === -1 ? undefined : normalizeEncoding(param.substr(eqIdx + 1))
+      return {name, value, i}
+    })
+    .sort((a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : a.i - b.i)
+    .map(({name, value}) => value === undefined ? name : name + '=' + value)
+
+  return params.length > 0 ? base + '?' + params.join('&') : base
+}
+
+function normalizeEncoding (str) {
+  try {
+    return encodeURIComponent(decodeURIComponent(str))
+  } catch (e) {
+    // malformed percent-encoding, leave as is
+    return str
+  }
+}
@@ -2,417 +2,1997 @@ import * as API from './api.js'
 import * as arrays from './arrays.js'
 import {shallowcopy, mergeInto} from './util.js'
 import {isISODateAxis, isLongitudeAxis, getLongitudeWrapper} from './referencing.js'
+import {concatCoverages} from './concat.js'
+import {iterateCoverages} from './paging.js'
+import {checkGeometry, isCircle, intersectsBbox} from './geometry.js'
+import {METADATA_FILTERS, checkMetadataFilters, matchesMetadataFilter, compareByMetadata} from './metadata.js'
+import {withCancellation, abortable, throwIfAborted, getAbortError, createAbortController, followSignal} from './abort.js'
+import {loadWithPolicy, checkPolicy, allowsLocalFallback} from './policy.js'
+import {emit} from './events.js'
+import {CapabilityError, ConstraintError, LoaderError, CircuitOpenError, LocalFallbackError, AbortError} from './errors.js'
+
+export {Cache, MemoryStore, IndexedDBStore, normalizeUrl} from './cache.js'
+export {EventEmitter} from './events.js'
+export {CoverageRESTError, CapabilityError, ConstraintError, TemplateError, LoaderError, CircuitOpenError,
+  LocalFallbackError, UnsupportedDocumentError, UnknownContextError, AbortError, TimeoutError} from './errors.js'
 
 const COVERAGE = 'Coverage'
 const COVERAGECOLLECTION = COVERAGE + 'Collection'
 
-// Note: We currently can't handle Hydra data in non-default graphs due to lack of support in JSON-LD framing.
+const LOCAL_FALLBACK_MODES = ['allow', 'warn', 'server-only']
+
+/** The filter keys of collection queries which don't refer to domain axes. */
+const NON_AXIS_FILTERS = ['geometry', ...METADATA_FILTERS]
+
+/** The paging constraints of collection queries in the order in which they are applied. */
+const PAGING_CONSTRAINTS = ['sort', 'offset', 'limit']
+
+/** The keys of the API URL properties for each paging constraint. */
+const PAGING_URL_PROPS = {
+  sort: 'sort',
+  offset: 'startIndex',
+  limit: 'itemsPerPage'
+}
+
+const SORT_ORDERS = ['asc', 'desc']
+
+/** The functions of a wrapped coverage which latestWins() applies to */
+const LATEST_WINS_METHODS = ['subsetByIndex', 'subsetByValue', 'selectParameters',
+  'extractPoint', 'extractTimeSeries', 'extractProfile']
+
+/** Plan reasons for subsets of local subsets which cannot be replayed on the origin coverage */
+const UNMERGED_REASON = 'cannot be combined with the constraints of the local subset'
+const UNREPLAYABLE_REASON = 'steps cannot be replayed on the origin coverage'
+
+/**
+ * Wraps a Coverage or Coverage Collection object and executes certain functions
+ * via a remote API, in particular subsetting.
+ * 
+ * Wrapped coverages have an additional function selectParameters(keys, options) which
+ * returns a Promise succeeding with a coverage that contains only the parameters with the
+ * given keys. It is done server-side if supported, otherwise the other ranges are dropped locally.
+ *
+ * To find out how a subset or query would be executed without running it, wrapped coverages
+ * have explainSubsetByIndex(constraints) and explainSubsetByValue(constraints) functions,
+ * and collection queries have an explain() function. They return a Promise succeeding with a plan
+ * containing the URL to be requested, the server and local constraints, and the reasons
+ * for each constraint, see createPlan().
+ *
+ * For extracting data at a given position, wrapped coverages have the functions
+ * extractPoint(position, options), extractTimeSeries(position, options), and
+ * extractProfile(position, options), see addExtractFunctions().
+ *
+ * The options of subsetByIndex, subsetByValue, selectParameters, the extract functions,
+ * and CoverageCollectionQuery.execute may contain a format property with the media type
+ * in which data should be requested from the server. It is included in the URL if the
+ * URL template has a format mapping, otherwise it is left to the loader, e.g. for content negotiation.
+ * If no constraints are given, then the coverage or collection itself is loaded in that format,
+ * preferably via a Link alternate with that media type. The format has no effect if no request is needed,
+ * e.g. if the coverage is fully loaded or all constraints are applied locally.
+ *
+ * These options, and the ones of the load() functions of paging links, may also contain
+ * an abort signal (signal) and a timeout in milliseconds (timeout). The signal, combined with the
+ * timeout, is passed on to the loader and to all requests of the operation. This includes
+ * the domain of a coverage if it is a separate document, which is loaded with the loader instead
+ * of loadDomain() of the coverage. For other domains, an aborted operation only stops waiting for them.
+ * Once it is aborted, the operation fails with an AbortError (TimeoutError for timeouts)
+ * and no further requests are made. See also latestWins().
+ *
+ * @param {object} data The Coverage API object to wrap.
+ * @param {object} options Options which control the behaviour of the wrapper.
+ * @param {function} options.loader 
+ *   The function to use for loading coverage data from a URL.
+ *   It is called as loader(url, options) where options corresponds to the
+ *   options parameter of Coverage.subsetBy* and CoverageCollectionQuery.execute,
+ *   with the timeout replaced by an abort signal which the loader should use to cancel the request.
+ *   It must return a Promise succeeding with a Coverage Data API object.
+ * @param {object} [options.loaders]
+ *   An object mapping media types to loader functions, used instead of options.loader
+ *   when data is requested in one of these formats.
+ * @param {object} [options.domainHints]
+ *   An object mapping axis keys to 'point' or 'cell', telling whether the axis values
+ *   represent points or cells. This is used for axes without explicit bounds, where
+ *   otherwise a regular axis of cells is assumed and the axis extent is padded by half
+ *   a cell on each end.
+ * @param {Cache} [options.cache]
+ *   A cache for data loaded via the API, see Cache. If not given, then each request is
+ *   passed to the loader directly and any caching is left to the loader.
+ * @param {object} [options.jsonld]
+ *   The jsonld.js module (0.4 or later). API information is read from the .ld property with a
+ *   built-in parser for the JSON-LD profile of the API control data. If given, jsonld.js
+ *   is used as fallback for documents which the built-in parser cannot handle.
+ * @param {object} [options.contexts]
+ *   An object mapping JSON-LD context URLs to context documents ({'@context': ...}).
+ *   Remote contexts referenced by API control data are never fetched from the network,
+ *   they must either be given here, be one of the built-in CovJSON and Hydra contexts,
+ *   or be loadable with options.documentLoader. Otherwise an UnknownContextError is thrown.
+ * @param {function} [options.documentLoader]
+ *   A function which is called with the URL of a JSON-LD context that is not in options.contexts
+ *   and returns a Promise succeeding with the context document (or a jsonld.js remote document),
+ *   e.g. reading it from disk. Each context is loaded only once per function.
+ * @param {string} [options.localFallback='allow']
+ *   What to do if a subset or query cannot be fully done by the API and some constraints
+ *   have to be applied locally on data which is not loaded yet (which may mean downloading
+ *   a lot of data): 'allow' does it silently, 'warn' does it and emits a warning event
+ *   (see options.events), and 'server-only' rejects with a LocalFallbackError instead.
+ * @param {number} [options.localFallbackBudget]
+ *   The maximum number of data values which may be processed locally. The number is estimated
+ *   from the axis lengths of the domain and the number of parameters (and coverages, for queries).
+ *   If the estimate is larger, then the operation is rejected with a LocalFallbackError.
+ * @param {object} [options.policy]
+ *   How failing loader calls are handled, see loadWithPolicy():
+ *   retries (default 0) is the number of retries of requests failing with transient errors,
+ *   which are delayed by retryDelay (default 250 ms) multiplied by backoffFactor (default 2)
+ *   for each further retry, up to maxRetryDelay (default 10000 ms), and randomized if jitter is true.
+ *   isTransient is a function deciding whether an error of the loader is transient,
+ *   by default errors with HTTP status 408, 429, or 5xx and errors without status are.
+ *   circuitBreaker ({failureThreshold: 5, resetTimeout: 30000} if true) stops requests via a URL template
+ *   for resetTimeout milliseconds once failureThreshold consecutive requests failed, these fail with a
+ *   CircuitOpenError instead. If fallbackToLocal is true, then a subsetByIndex or subsetByValue
+ *   whose request failed while the circuit breaker is open (that is, after repeated failures)
+ *   is done locally instead, as far as options.localFallback allows it. fallbackToLocal implies
+ *   a circuit breaker with the default settings if none is given.
+ * @param {EventEmitter} [options.events]
+ *   An event emitter (or any object with an emit(type, event) function) on which
+ *   events about the behaviour of the wrapped objects are emitted:
+ *   retry {url, attempt, delay, error} before a failed request is retried,
+ *   circuitOpen {template, failures}, circuitHalfOpen {template}, and circuitClose {template}
+ *   when the state of a circuit breaker changes, and
+ *   fallback {url, error, plan} when a subset is done locally after its request failed,
+ *   request {url, format} right before the loader is called, followed by
+ *   response {url, duration, cached} or error {url, duration, error} when it finished,
+ *   where data from options.cache only emits response with cached being true,
+ *   localFallback {method, plan} when a subset, parameter selection, or query applies some constraints locally,
+ *   where method is 'subsetByIndex', 'subsetByValue', 'selectParameters', or 'query',
+ *   warning {message, plan} when that requires loading data and options.localFallback is 'warn', and
+ *   discover {id, api, duration} when the API of a coverage or collection was discovered.
+ *   
+ * @returns {object} The wrapped Coverage Data API object.
+ */
+export function wrap (data, options) {
+  if (typeof options.loader !== 'function') {
+    throw new Error('options.loader must be a function')
+  }
+  if (options.loaders && Object.keys(options.loaders).some(type => typeof options.loaders[type] !== 'function')) {
+    throw new Error('options.loaders must map media types to functions')
+  }
+  if (options.documentLoader && typeof options.documentLoader !== 'function') {
+    throw new Error('options.documentLoader must be a function')
+  }
+  if (options.policy) {
+    checkPolicy(options.policy)
+  }
+  if (options.events && typeof options.events.emit !== 'function') {
+    throw new Error('options.events must have an emit function')
+  }
+  if (options.localFallback && LOCAL_FALLBACK_MODES.indexOf(options.localFallback) === -1) {
+    throw new Error('options.localFallback must be one of: ' + LOCAL_FALLBACK_MODES.join(', '))
+  }
+  if (data.type === COVERAGECOLLECTION) {
+    return wrapCollection(data, options)
+  } else if (data.type === COVERAGE) {
+    return wrapCoverage(data, options)
+  } else {
+    // Domain or other unknown type
+    return data
+  }
+}
+
+/**
+ * Returns a copy of a wrapped coverage where each call of subsetByIndex, subsetByValue,
+ * selectParameters, or one of the extract functions aborts the previous call of any
+ * of them if that is still in progress, e.g. for subsets requested while panning a map
+ * where only the latest one is of interest. Superseded calls fail with an AbortError.
+ * A signal given in the options of a call is respected as well.
+ *
+ * @param {object} coverage The wrapped coverage.
+ * @returns {object} The coverage with latest-wins functions.
+ */
+export function latestWins (coverage) {
+  let controller
+  let latest = shallowcopy(coverage)
+  for (let method of LATEST_WINS_METHODS.filter(method => typeof coverage[method] === 'function')) {
+    latest[method] = (arg, options = {}) => {
+      if (controller) {
+        controller.abort(new AbortError('Superseded by a later ' + method + ' call'))
+      }
+      let current = controller = createAbortController()
+      let unfollow = followSignal(current, options.signal)
+      let newOptions = shallowcopy(options)
+      newOptions.signal = current.signal
+      let result = coverage[method](arg, newOptions)
+      let done = () => {
+        unfollow()
+        if (controller === current) {
+          controller = undefined
+        }
+      }
+      result.then(done, done)
+      return result
+    }
+  }
+  return latest
+}
+
+/**
+ * Discovers the API of a coverage or collection, see API.discover(),
+ * and emits a discover event.
+ *
+ * @param {object} [ld=data.ld] The JSON-LD document to use.
+ */
+function discover (data, wrapOptions, ld) {
+  let start = Date.now()
+  return API.discover(data, {
+    ld,
+    jsonld: wrapOptions.jsonld,
+    contexts: wrapOptions.contexts,
+    documentLoader: wrapOptions.documentLoader
+  }).then(api => {
+    emit(wrapOptions, 'discover', {id: data.id, api, duration: Date.now() - start})
+    return api
+  })
+}
+
+/**
+ * @param {object} [serverConstraints] The constraints ({filter, subset, paging}) and the format
+ *   the collection was queried with on the server, used for loading other pages.
+ * @param {API} [queryApi] The API of the collection the query was run against, used for creating
+ *   the URLs of other pages, see getPageUrlFunction(). By default the API of the given collection.
+ */
+function wrapCollection (collection, wrapOptions, serverConstraints = {}, queryApi) {
+  return discover(collection, wrapOptions).then(api => {
+    queryApi = queryApi || api
+    let newcoll = shallowcopy(collection)
+    newcoll.coverages = collection.coverages.map(cov => wrapCollectionCoverage(cov, collection, wrapOptions))
+    newcoll.query = () => {
+      let query = collection.query()
+      return new QueryProxy(query, newcoll, api, wrapOptions)
+    }
+    if (api.isPaged) {
+      let pageSize = api.paging.next ? collection.coverages.length : undefined
+      newcoll.paging = createPaging(api, (url, options) =>
+        loadUrl(url, withFormat(options, serverConstraints.format), wrapOptions, api)
+          .then(coll => wrapCollection(coll, wrapOptions, serverConstraints, queryApi)),
+        getPageUrlFunction(queryApi, serverConstraints, pageSize))
+    }
+    newcoll.iterateCoverages = options => iterateCoverages(newcoll, options)
+    if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+      newcoll[Symbol.asyncIterator] = () => iterateCoverages(newcoll)
+    }
+    return newcoll
+  })
+}
+
+/**
+ * Returns a paging object with links to the previous, next, first, and last page.
+ * If a page URL function is given, then page(index) returns a link to the page
+ * with the given 0-based index.
+ *
+ * @param {API} api The API object of the collection page.
+ * @param {function} loadPage A function (url, options) returning a Promise succeeding with the page.
+ * @param {function} [getPageUrl] A function (index) returning the URL of a page, see getPageUrlFunction().
+ */
+function createPaging (api, loadPage, getPageUrl) {
+  let createLink = url => {
+    if (!url) return
+    return {
+      load: (options = {}) => withCancellation(options, options => loadPage(url, options))
+    }
+  }
+  let paging = {
+    total: api.paging.total,
+    previous: createLink(api.paging.previous),
+    next: createLink(api.paging.next),
+    first: createLink(api.paging.first),
+    last: createLink(api.paging.last)
+  }
+  if (getPageUrl) {
+    paging.page = index => {
+      if (!Number.isInteger(index) || index < 0) {
+        throw new ConstraintError('The page index must be a non-negative integer',
+          {operation: 'paging', concept: 'offset', constraint: index})
+      }
+      return createLink(getPageUrl(index))
+    }
+  }
+  return paging
+}
+
+/**
+ * Returns a function (index) creating the URL of the page with the given 0-based index
+ * using the startIndex mapping of the API, or undefined if the API does not support it
+ * or the page size is unknown.
+ *
+ * @param {API} api The API of the collection the query was run against, not the one of a result page,
+ *   as the URL template of a result page may already include the constraints.
+ * @param {object} serverConstraints The constraints ({filter, subset, paging}) and format the pages were queried with.
+ * @param {number} [pageSize] The number of coverages per page, if not given by the limit constraint.
+ */
+function getPageUrlFunction (api, serverConstraints, pageSize) {
+  let paging = serverConstraints.paging || {}
+  pageSize = paging.limit || pageSize
+  if (!api.capabilities.paging.offset || !pageSize) {
+    return
+  }
+  return index => {
+    let constraints = shallowcopy(serverConstraints)
+    constraints.paging = shallowcopy(paging)
+    constraints.paging.offset = (paging.offset || 0) + index * pageSize
+    if (api.capabilities.paging.limit) {
+      constraints.paging.limit = pageSize
+    }
+    return api.getUrl(constraints)
+  }
+}
+
+/**
+ * Collects the query parts and executes the query remotely
+ * if possible.
+ */
+class QueryProxy {
+  constructor (query, collection, api, wrapOptions) {
+    this._query = query
+    this._collection = collection
+    this._api = api
+    this._wrapOptions = wrapOptions
+    
+    this._filter = {}
+    this._subset = {}
+    this._paging = {}
+  }
+  
+  /**
+   * Besides axis constraints, the special key 'geometry' filters by horizontal extent, see checkGeometry().
+   * The geometry is given in longitudes and latitudes and can only be evaluated locally on domains
+   * with longitude and latitude axes.
+   * The special keys 'observedProperty', 'searchTerms', and 'metadata' filter by the parameters
+   * and the .ld metadata of the coverages, see METADATA_FILTERS.
+   */
+  filter (spec) {
+    if ('geometry' in spec) {
+      checkGeometry(spec.geometry)
+    }
+    checkMetadataFilters(spec)
+    this._query.filter(getAxisFilter(spec))
+    mergeInto(spec, this._filter)
+    return this
+  }
+  
+  subset (spec) {
+    this._query.subset(spec)
+    mergeInto(spec, this._subset)
+    return this
+  }
+
+  /**
+   * Limits the number of coverages per result page.
+   */
+  limit (count) {
+    checkPagingInteger('limit', count, 1)
+    this._paging.limit = count
+    return this
+  }
+
+  /**
+   * Skips the given number of coverages of the (sorted) result.
+   */
+  offset (count) {
+    checkPagingInteger('offset', count, 0)
+    this._paging.offset = count
+    return this
+  }
+
+  /**
+   * Sorts the result by a metadata field. If done locally, the field is looked up
+   * in the .ld metadata of the coverages, see compareByMetadata().
+   *
+   * @param {string} key The field to sort by.
+   * @param {string} [order='asc'] 'asc' or 'desc'.
+   */
+  sort (key, order = 'asc') {
+    if (typeof key !== 'string' || SORT_ORDERS.indexOf(order) === -1) {
+      throw new ConstraintError('sort requires a key and an order of ' + SORT_ORDERS.join(' or '),
+        {operation: 'paging', concept: 'sort', constraint: {key, order}})
+    }
+    this._paging.sort = {key, order}
+    return this
+  }
+    
+  execute (options = {}) {
+    return withCancellation(options, options => this._execute(options))
+  }
+
+  _execute (options) {
+    return this.explain(options).then(plan => {
+      checkLocalFallback(plan, this._wrapOptions)
+      let serverConstraints = withFormat(plan.server, plan.format)
+      if (!plan.url && plan.format && !hasLocalConstraints(plan)) {
+        return loadInFormat(this._collection, this._api, options, this._wrapOptions)
+          .then(collection => wrapCollection(collection, this._wrapOptions, serverConstraints, this._api))
+      }
+      emitLocalFallback(this._wrapOptions, 'query', plan)
+      if (!plan.url) {
+        return this._executeLocally(plan, options)
+      }
+      return loadUrl(plan.url, options, this._wrapOptions, this._api).then(resultCollection => {
+        // apply remaining query parts
+        if (hasLocalConstraints(plan)) {
+          return queryLocally(resultCollection, plan.local, serverConstraints, this._api, options, this._wrapOptions)
+        } else {
+          return wrapCollection(resultCollection, this._wrapOptions, serverConstraints, this._api)
+        }
+      })
+    })
+  }
+  
+  /**
+   * Returns a Promise succeeding with the plan of how the query would be executed,
+   * that is, which constraints are applied by the server and which locally, and why.
+   * Nothing is loaded, except for the domain of the first coverage if the collection
+   * has no domain template. See createPlan() for the structure of the plan.
+   *
+   * @param {object} [options] The options that would be passed to execute(), only the format
+   *   and the signal (for cancelling the domain load) are used.
+   */
+  explain (options = {}) {
+    return this._getDomainTemplate(options).then(domainTemplate => {
+      let plan = planQuery(this._api, this._collection, domainTemplate, this._filter, this._subset, this._paging)
+      return applyFormat(plan, this._api, options.format)
+    })
+  }
+
+  /**
+   * Returns a Promise succeeding with the domain template of the collection or,
+   * if there is none, with the domain of the first coverage assuming a uniform collection.
+   * Succeeds with undefined if the collection is empty.
+   */
+  _getDomainTemplate (options) {
+    let domainTemplate = this._collection.domainTemplate
+    if (domainTemplate) {
+      return Promise.resolve(domainTemplate)
+    } else if (this._collection.coverages.length > 0) {
+      return loadCoverageDomain(this._collection.coverages[0], options, this._wrapOptions)
+    } else {
+      return Promise.resolve()
+    }
+  }
+
+  /**
+   * Executes the complete query locally on the current page,
+   * and on other pages once they are loaded.
+   */
+  _executeLocally (plan, options) {
+    return this._query.execute(options)
+      .then(result => applyNonAxisFilters(result, plan.local.filter, options, this._wrapOptions))
+      .then(result => applyLocalPaging(result, plan.local.paging, this._api))
+      .then(result => withLocalQueryPaging(result, this._api, plan.local, plan.server, this._api, this._wrapOptions))
+  }
+}
+
+/**
+ * @param {string} key 'limit' or 'offset'
+ * @param {number} min The minimum allowed value.
+ */
+function checkPagingInteger (key, value, min) {
+  if (!Number.isInteger(value) || value < min) {
+    throw new ConstraintError(key + ' must be an integer >= ' + min,
+      {operation: 'paging', concept: key, constraint: value})
+  }
+}
+
+/**
+ * Splits the filter, subset, and paging constraints of a collection query into API and locally applied ones.
+ *
+ * @param {object} [domainTemplate] The domain used to determine the API concepts of the axes.
+ *   If undefined, then all filter and subset constraints are planned locally.
+ */
+function planQuery (api, collection, domainTemplate, filter, subset, paging) {
+  let plan = createPlan({filter, subset, paging}, ['filter', 'subset', 'paging'])
+  if (!domainTemplate) {
+    let reason = 'collection is empty, axis types are unknown'
+    addLocallyToPlan(plan, 'filter', filter, reason)
+    addLocallyToPlan(plan, 'subset', subset, reason)
+    planPaging(plan, api, paging)
+    return finishPlan(plan, api)
+  }
+
+  let filterCaps = api.capabilities.filter
+  let subsetCaps = api.capabilities.subset
+  let axisMap = getAxisConcepts(domainTemplate)
+
+  // filtering
+  for (let axis of Object.keys(filter)) {
+    let constraint = filter[axis]
+    if (axis === 'geometry') {
+      let shape = isCircle(constraint) ? 'circle' : 'polygon'
+      let useApi = Boolean(filterCaps.geometry && filterCaps.geometry[shape])
+      let reason = useApi ? shape + ' filtering supported by API' : shape + ' filtering not supported by API'
+      addToPlan(plan, 'filter', axis, 'geometry', constraint, useApi, reason)
+      continue
+    } else if (METADATA_FILTERS.indexOf(axis) !== -1) {
+      let useApi = Boolean(filterCaps[axis])
+      let reason = useApi ? axis + ' filtering supported by API' : axis + ' filtering not supported by API'
+      addToPlan(plan, 'filter', axis, axis, constraint, useApi, reason)
+      continue
+    }
+    let concept = axisMap[axis]
+    let cap = filterCaps[concept]
+    let useApi = Boolean(cap && cap.start && cap.stop)
+    let reason = useApi ? 'start/stop filtering supported by API' : getUnsupportedReason('filtering', concept)
+    addToPlan(plan, 'filter', axis, concept, constraint, useApi, reason)
+  }
+
+  // subsetting
+  for (let axis of Object.keys(subset)) {
+    let constraint = subset[axis]
+    let concept = axisMap[axis]
+    let cap = subsetCaps[concept]
+    let useApi = false
+    let reason
+
+    if (!cap) {
+      reason = getUnsupportedReason('subsetting', concept)
+    } else if (typeof constraint !== 'object') {
+      useApi = Boolean(cap.identity)
+      reason = useApi ? 'exact match supported by API' : 'exact match not supported by API'
+    } else if ('target' in constraint) {
+      useApi = canUseTarget(cap, subset, axisMap)
+      reason = useApi ? 'target supported by API' : getTargetUnsupportedReason(cap)
+    } else {
+      useApi = Boolean('start' in constraint && 'stop' in constraint && cap.start && cap.stop)
+      reason = useApi ? 'start/stop supported by API' : 'start/stop subsetting not supported by API'
+    }
+
+    addToPlan(plan, 'subset', axis, concept, constraint, useApi, reason)
+  }
+
+  toLocalConstraintsIfDependencyMissing(plan.server.filter, plan.local.filter, filterCaps, axisMap, plan.reasons.filter)
+  toLocalConstraintsIfDependencyMissing(plan.server.subset, plan.local.subset, subsetCaps, axisMap, plan.reasons.subset)
+
+  // the number of coverages of the result is unknown, we assume the worst case
+  let coverageCount = collection.coverages.filter(cov => !cov.loaded).length
+  let parameterCount = collection.parameters ? collection.parameters.size : 1
+  plan.localSize = estimateLocalSize(domainTemplate, plan, subset, false) * parameterCount * coverageCount
+
+  // paging is planned last as it depends on where filtering happens,
+  // it is not part of the estimate since it does not require loading data
+  planPaging(plan, api, paging)
+
+  return finishPlan(plan, api)
+}
+
+/**
+ * Adds the paging constraints of a collection query to a plan.
+ * As they are applied in the order of PAGING_CONSTRAINTS, one can only be applied by the API
+ * if the preceding ones are, and only if all filter constraints are applied by the API as well.
+ */
+function planPaging (plan, api, paging) {
+  let caps = api.capabilities.paging
+  let localReason
+  if (Object.keys(plan.local.filter).length > 0) {
+    localReason = 'some filter constraints are applied locally'
+  }
+  for (let key of PAGING_CONSTRAINTS) {
+    if (!(key in paging)) continue
+    let useApi = !localReason && Boolean(caps[key])
+    let reason = localReason || (useApi ? key + ' supported by API' : key + ' not supported by API')
+    addToPlan(plan, 'paging', key, key, paging[key], useApi, reason)
+    if (!useApi && !localReason) {
+      localReason = key + ' is applied locally'
+    }
+  }
+}
+
+/**
+ * Returns whether a plan has any local constraints.
+ */
+function hasLocalConstraints (plan) {
+  if (plan.split) {
+    return plan.split.parts.some(hasLocalConstraints)
+  }
+  return Object.keys(plan.local).some(type => Object.keys(plan.local[type]).length > 0)
+}
+
+/**
+ * Runs a query with the given local constraints ({filter, subset, paging}) on a collection page.
+ * See withLocalQueryPaging().
+ *
+ * @param {object} serverConstraints The constraints the page was queried with on the server.
+ * @param {API} queryApi The API of the collection the query was run against.
+ */
+function queryLocally (collection, local, serverConstraints, queryApi, options, wrapOptions) {
+  let result = collection.query().filter(getAxisFilter(local.filter)).subset(local.subset).execute(options)
+    .then(result => applyNonAxisFilters(result, local.filter, options, wrapOptions))
+  return Promise.all([discover(collection, wrapOptions), result]).then(([api, result]) =>
+    withLocalQueryPaging(applyLocalPaging(result, local.paging, api), api, local, serverConstraints, queryApi, wrapOptions))
+}
+
+/**
+ * Adds paging to a locally queried collection page, if the original page was paged.
+ * When loading other pages, the query is applied locally on them as well.
+ *
+ * If some filter constraints were applied locally, then paging.total is only an upper bound
+ * of the number of matching coverages, which is indicated by paging.totalIsApproximate = true.
+ *
+ * The locally queried collection is NOT wrapped! See wrapLocalSubset() for the coverage equivalent.
+ */
+function withLocalQueryPaging (result, api, local, serverConstraints, queryApi, wrapOptions) {
+  if (!api.isPaged) {
+    return result
+  }
+  let pagedResult = shallowcopy(result)
+  pagedResult.paging = createPaging(api, (url, options) =>
+    loadUrl(url, withFormat(options, serverConstraints.format), wrapOptions, api)
+      .then(page => queryLocally(page, local, serverConstraints, queryApi, options, wrapOptions)),
+    getPageUrlFunction(queryApi, serverConstraints))
+  if (Object.keys(local.filter).length > 0) {
+    pagedResult.paging.totalIsApproximate = true
+  }
+  pagedResult.iterateCoverages = options => iterateCoverages(pagedResult, options)
+  return pagedResult
+}
+
+/**
+ * Applies sort, offset, and limit constraints locally on a (locally queried) collection.
+ * This is only possible if the collection is not paged, as otherwise the coverages
+ * of the other pages would have to be considered as well.
+ *
+ * @throws {CapabilityError} If there are paging constraints and the collection is paged.
+ */
+function applyLocalPaging (collection, paging, api) {
+  let keys = PAGING_CONSTRAINTS.filter(key => key in paging)
+  if (keys.length === 0) {
+    return collection
+  }
+  if (api.isPaged) {
+    let missingUrlProperties = keys.map(key => API.URL_PROPS[PAGING_URL_PROPS[key]])
+      .filter(uri => !api.supportedUrlProps.has(uri))
+    throw new CapabilityError(keys.join(', ') + ' cannot be applied locally on a paged collection',
+      {operation: 'paging', concept: keys[0], constraint: paging[keys[0]], missingUrlProperties})
+  }
+  let coverages = collection.coverages.slice()
+  if (paging.sort) {
+    coverages.sort((a, b) => compareByMetadata(a, b, paging.sort.key, paging.sort.order))
+  }
+  let offset = paging.offset || 0
+  let end = 'limit' in paging ? offset + paging.limit : undefined
+  let result = shallowcopy(collection)
+  result.coverages = coverages.slice(offset, end)
+  return result
+}
+
+/**
+ * Returns a copy of a filter specification with only the axis constraints,
+ * as the other ones are not understood by the local query of the collection.
+ */
+function getAxisFilter (filter) {
+  let copy = {}
+  for (let key of Object.keys(filter)) {
+    if (NON_AXIS_FILTERS.indexOf(key) === -1) {
+      copy[key] = filter[key]
+    }
+  }
+  return copy
+}
+
+/**
+ * Returns a Promise succeeding with a copy of a (locally queried) collection which
+ * only contains the coverages matching the non-axis constraints of the given filter.
+ * As these are applied after the other query parts, subsetted coverages are evaluated
+ * with the domain extent of the subset.
+ *
+ * For geometries, coverages without primitive x and y axes never match.
+ * If there are no non-axis constraints, the collection is returned unchanged.
+ */
+function applyNonAxisFilters (collection, filter, options, wrapOptions) {
+  let keys = Object.keys(filter).filter(key => NON_AXIS_FILTERS.indexOf(key) !== -1)
+  if (keys.length === 0) {
+    return Promise.resolve(collection)
+  }
+  let domains = filter.geometry
+    ? Promise.all(collection.coverages.map(cov => loadCoverageDomain(cov, options, wrapOptions)))
+    : Promise.resolve([])
+  return domains.then(domains => {
+    let filtered = shallowcopy(collection)
+    filtered.coverages = collection.coverages.filter((cov, i) => keys.every(key => key === 'geometry'
+      ? intersectsDomain(filter.geometry, domains[i], wrapOptions)
+      : matchesMetadataFilter(cov, key, filter[key])))
+    return filtered
+  })
+}
+
+/**
+ * Returns whether a geometry intersects the horizontal extent of a domain.
+ *
+ * @throws {ConstraintError} If the horizontal axes are not longitude and latitude.
+ */
+function intersectsDomain (geometry, domain, wrapOptions) {
+  let axisMap = getAxisConcepts(domain)
+  let axes = Object.keys(axisMap).filter(axis => axisMap[axis] === 'x' || axisMap[axis] === 'y')
+  if (axes.length !== 2) {
+    return false
+  }
+  let lonAxis = axes.find(axis => isLongitudeAxis(domain, axis))
+  if (!lonAxis) {
+    throw new ConstraintError('Geometry filtering requires a domain with longitude and latitude axes',
+      {operation: 'filter', concept: 'geometry', constraint: geometry})
+  }
+  let latAxis = axes.find(axis => axis !== lonAxis)
+  let extent = axis => {
+    let {values, bounds} = domain.axes.get(axis)
+    return getAxisExtent(values, bounds, getAxisHint(wrapOptions, axis))
+  }
+  let [west, east] = extent(lonAxis)
+  let [south, north] = extent(latAxis)
+  // the geometry may use a different longitude range than the domain, e.g. [-180,180] vs [0,360]
+  return [-360, 0, 360].some(shift => intersectsBbox(geometry, [west + shift, south, east + shift, north]))
+}
+
+function wrapCoverage (coverage, wrapOptions) {
+  return discover(coverage, wrapOptions).then(api => createWrappedCoverage(coverage, () => Promise.resolve(api), wrapOptions))
+}
+
+/**
+ * Wraps a coverage that is part of a collection.
+ *
+ * In contrast to wrapCoverage(), this happens synchronously as the
+ * API information is only discovered (from the collection-level .ld property)
+ * once the first subsetting operation is run.
+ */
+function wrapCollectionCoverage (coverage, collection, wrapOptions) {
+  let apiPromise
+  let getApi = () => {
+    if (!apiPromise) {
+      apiPromise = discover(coverage, wrapOptions, collection.ld)
+    }
+    return apiPromise
+  }
+  return createWrappedCoverage(coverage, getApi, wrapOptions)
+}
+
+/**
+ * @param {function} getApi A function returning a Promise succeeding with the API object of the coverage.
+ */
+function createWrappedCoverage (coverage, getApi, wrapOptions) {
+  let wrappedCoverage = shallowcopy(coverage)
+  wrappedCoverage.subsetByIndex = wrappedSubsetByIndex(coverage, wrappedCoverage, getApi, wrapOptions)
+  wrappedCoverage.subsetByValue = wrappedSubsetByValue(coverage, wrappedCoverage, getApi, wrapOptions)
+  wrappedCoverage.selectParameters = wrappedSelectParameters(coverage, wrappedCoverage, getApi, wrapOptions)
+  wrappedCoverage.explainSubsetByIndex = wrappedExplainSubset(coverage, getApi, planSubsetByIndex, wrapOptions)
+  wrappedCoverage.explainSubsetByValue = wrappedExplainSubset(coverage, getApi, planSubsetByValue, wrapOptions)
+  return addExtractFunctions(wrappedCoverage, wrapOptions)
+}
+
+/**
+ * Adds the functions extractPoint(position, options), extractTimeSeries(position, options),
+ * and extractProfile(position, options) to a coverage.
+ *
+ * The position is an object with the API concepts x, y, and optionally vertical and time
+ * as keys, where x and y are in the coordinates of the horizontal CRS of the domain.
+ * Each concept is mapped to the corresponding axis (see getAxisConcepts()) and subsetted with
+ * a target constraint via subsetByValue(). That means the server is used for a concept
+ * if it supports target subsetting, otherwise target subsetting is emulated via start/stop,
+ * and if that is not possible either, the value is extracted locally.
+ *
+ * A time series keeps all values of the time axis, a profile all values of the vertical axis.
+ * Axes whose concept is not given in the position are not subsetted.
+ *
+ * @param {object} [wrapOptions] The options of the wrapped coverage, used for loading the domain,
+ *   see loadCoverageDomain().
+ */
+function addExtractFunctions (coverage, wrapOptions) {
+  coverage.extractPoint = extractByTargets(coverage, wrapOptions)
+  coverage.extractTimeSeries = extractByTargets(coverage, wrapOptions, 'time')
+  coverage.extractProfile = extractByTargets(coverage, wrapOptions, 'vertical')
+  return coverage
+}
+
+/**
+ * @param {string} [seriesConcept] The API concept of the axis to keep, e.g. 'time' for a time series.
+ */
+function extractByTargets (coverage, wrapOptions, seriesConcept) {
+  return (position, options = {}) => withCancellation(options, options => {
+    return loadCoverageDomain(coverage, options, wrapOptions).then(domain => {
+      let axisConcepts = getAxisConcepts(domain)
+      let conceptAxes = {} // API concept -> axis name
+      for (let axis of Object.keys(axisConcepts)) {
+        if (axisConcepts[axis]) {
+          conceptAxes[axisConcepts[axis]] = axis
+        }
+      }
+      if (seriesConcept && !conceptAxes[seriesConcept]) {
+        throw new ConstraintError('The coverage has no ' + seriesConcept + ' axis', {concept: seriesConcept})
+      }
+      if (position.x === undefined || position.y === undefined) {
+        throw new ConstraintError('The position must have x and y', {constraint: position})
+      }
+      let constraints = {}
+      for (let concept of Object.keys(position)) {
+        let axis = conceptAxes[concept]
+        if (concept === seriesConcept) {
+          throw new ConstraintError('The position must not have ' + concept, {concept, constraint: position[concept]})
+        } else if (!axis) {
+          throw new ConstraintError('The coverage has no ' + concept + ' axis', {concept, constraint: position[concept]})
+        }
+        constraints[axis] = {target: position[concept]}
+      }
+      return coverage.subsetByValue(constraints, options)
+    })
+  })
+}
+
+/**
+ * Returns a function selectParameters(keys, options) which returns a Promise succeeding
+ * with a coverage that contains only the parameters with the given keys.
+ * If the API supports it, then the selection is done server-side, otherwise
+ * the unwanted parameters are dropped locally, see selectParametersLocally().
+ */
+function wrappedSelectParameters (coverage, wrappedCoverage, getApi, wrapOptions) {
+  return (keys, options = {}) => withCancellation(options, options => {
+    return Promise.all([loadCoverageDomain(coverage, options, wrapOptions), abortable(getApi(), options.signal)]).then(([domain, api]) => {
+      checkParameterKeys(coverage, keys)
+      if (keys.length === coverage.parameters.size) {
+        return wrappedCoverage
+      }
+      let plan = applyFormat(planSelectParameters(coverage, domain, api, keys), api, options.format)
+      checkLocalFallback(plan, wrapOptions)
+      emitLocalFallback(wrapOptions, 'selectParameters', plan)
+      if (!plan.url) {
+        return selectParametersLocally(wrappedCoverage, keys)
+      }
+      return loadUrl(plan.url, options, wrapOptions, api).then(subset => wrap(subset, wrapOptions))
+    })
+  })
+}
+
+/**
+ * Plans the selection of parameters, where the keys are the constraint of
+ * a 'parameters' pseudo-axis. If done locally, the estimate includes all ranges
+ * of the coverage.
+ */
+function planSelectParameters (coverage, domain, api, keys) {
+  let plan = createPlan({parameters: keys}, ['subset'])
+  if (coverage.loaded) {
+    return addLocallyToPlan(plan, 'subset', plan.constraints, 'coverage is fully loaded')
+  }
+  let useApi = Boolean(api.capabilities.subset.parameters)
+  let reason = useApi ? 'parameter selection supported by API' : 'parameter selection not supported by API'
+  addToPlan(plan, 'subset', 'parameters', 'parameters', keys, useApi, reason)
+  plan.localSize = estimateLocalSize(domain, plan, {}, true) * coverage.parameters.size
+  return finishPlan(plan, api)
+}
+
+function wrappedSubsetByIndex (coverage, wrappedCoverage, getApi, wrapOptions) {
+  return (constraints, options = {}) => withCancellation(options, options => {
+    return Promise.all([loadCoverageDomain(coverage, options, wrapOptions), abortable(getApi(), options.signal)]).then(([domain, api]) => {
+      constraints = cleanedConstraints(constraints)
+      
+      if (!requiresSubsetting(domain, constraints)) {
+        return options.format && !coverage.loaded
+          ? loadCoverageInFormat(coverage, api, options, wrapOptions)
+          : wrappedCoverage
+      }
+      
+      // if the coverage is fully loaded, then there is no need to use a server API
+      if (coverage.loaded) {
+        return coverage.subsetByIndex(constraints, options)
+      }
+      
+      let plan = applyFormat(planSubsetByIndex(coverage, domain, api, constraints), api, options.format)
+      checkLocalFallback(plan, wrapOptions)
+      emitLocalFallback(wrapOptions, 'subsetByIndex', plan)
+      let planLocally = () => planSubsetByIndex(coverage, domain, new API.API(), constraints)
+      return executeSubsetPlanWithFallback(plan, planLocally, 'subsetByIndex', coverage, wrappedCoverage,
+        indexToValueConstraints(domain, constraints), options, wrapOptions, api)
+    })
+  })
+}
+
+function wrappedSubsetByValue (coverage, wrappedCoverage, getApi, wrapOptions) {
+  return (constraints, options = {}) => withCancellation(options, options => {
+    return Promise.all([loadCoverageDomain(coverage, options, wrapOptions), abortable(getApi(), options.signal)]).then(([domain, api]) => {
+      constraints = cleanedConstraints(constraints)
+      
+      if (!requiresSubsetting(domain, constraints)) {
+        return options.format && !coverage.loaded
+          ? loadCoverageInFormat(coverage, api, options, wrapOptions)
+          : wrappedCoverage
+      }
+      
+      // if the coverage is fully loaded, then there is no need to use a server API
+      if (coverage.loaded) {
+        return coverage.subsetByValue(constraints, options)
+      }
+      
+      let plan = applyFormat(planSubsetByValue(coverage, domain, api, constraints, wrapOptions), api, options.format)
+      
+      checkLocalFallback(plan, wrapOptions)
+      emitLocalFallback(wrapOptions, 'subsetByValue', plan)
+
+      if (plan.split) {
+        let subsets = plan.split.parts.map(part => {
+          let planLocally = () => planSubsetByValue(coverage, domain, new API.API(), part.constraints, wrapOptions)
+          return executeSubsetPlanWithFallback(part, planLocally, 'subsetByValue', coverage, wrappedCoverage,
+            part.constraints, options, wrapOptions, api)
+        })
+        let stitched
+        if (subsets.length === 1) {
+          stitched = subsets[0]
+        } else {
+          stitched = Promise.all(subsets).then(([first, second]) =>
+            concatCoverages(first, second, plan.split.axis, plan.split.shift, addLocalSubsetByValue))
+        }
+        return stitched.then(subset => wrapLocalSubset(subset, wrappedCoverage, constraints, wrapOptions))
+      }
+
+      let planLocally = () => planSubsetByValue(coverage, domain, new API.API(), constraints, wrapOptions)
+      return executeSubsetPlanWithFallback(plan, planLocally, 'subsetByValue', coverage, wrappedCoverage,
+        constraints, options, wrapOptions, api)
+    })
+  })
+}
+
+/**
+ * Returns a function explainSubsetByIndex(constraints, options) or explainSubsetByValue(constraints, options)
+ * which returns a Promise succeeding with the plan of how the subset would be executed,
+ * without loading anything except the domain. Of the options, only the format is used.
+ *
+ * @param {function} planSubset planSubsetByIndex or planSubsetByValue
+ */
+function wrappedExplainSubset (coverage, getApi, planSubset, wrapOptions) {
+  return (constraints, options = {}) => {
+    return Promise.all([loadCoverageDomain(coverage, {}, wrapOptions), getApi()]).then(([domain, api]) => {
+      constraints = cleanedConstraints(constraints)
+      if (!requiresSubsetting(domain, constraints)) {
+        return createPlan(constraints, ['subset'])
+      }
+      return applyFormat(planSubset(coverage, domain, api, constraints, wrapOptions), api, options.format)
+    })
+  }
+}
+
+/**
+ * Executes a subset plan, see planSubsetByIndex() and planSubsetByValue().
+ *
+ * @param {string} method The local subset function, 'subsetByIndex' or 'subsetByValue'.
+ * @param {object} [valueConstraints] The value constraints equivalent to the planned ones,
+ *   recorded as provenance of local subsets, see wrapLocalSubset().
+ * @param {API} [api] The API of the coverage.
+ */
+function executeSubsetPlan (plan, method, coverage, wrappedCoverage, valueConstraints, options, wrapOptions, api) {
+  if (!plan.url) {
+    // A locally subsetted coverage is not known by the API metadata, therefore
+    // we only wrap it with its provenance so that subsequent subsets can be
+    // replayed on the original coverage, see wrapLocalSubset().
+    return coverage[method](plan.constraints, options).then(subset =>
+      wrapLocalSubset(subset, wrappedCoverage, valueConstraints, wrapOptions))
+  }
+
+  return loadUrl(plan.url, options, wrapOptions, api).then(subset => {
+    // apply remaining subset constraints
+    if (Object.keys(plan.local.subset).length > 0) {
+      return subset[method](plan.local.subset, options).then(subset =>
+        wrapLocalSubset(subset, wrappedCoverage, valueConstraints, wrapOptions))
+    } else {
+      return wrap(subset, wrapOptions)
+    }
+  })
+}
+
+/**
+ * Executes a subset plan, and if its request failed while the circuit breaker of its URL template
+ * is open and the policy of the wrap options has fallbackToLocal set, then executes the subset again completely locally,
+ * provided that this is allowed by the localFallback and localFallbackBudget options.
+ * Otherwise, the original error is thrown.
+ *
+ * @param {function} planLocally A function returning the plan of the subset without API.
+ */
+function executeSubsetPlanWithFallback (plan, planLocally, method, coverage, wrappedCoverage, valueConstraints,
+    options, wrapOptions, api) {
+  return executeSubsetPlan(plan, method, coverage, wrappedCoverage, valueConstraints, options, wrapOptions, api)
+    .catch(e => {
+      if (!(e instanceof LoaderError) || e.url !== plan.url ||
+          !allowsLocalFallback(wrapOptions, getCircuitTemplate(plan.url, api))) {
+        throw e
+      }
+      let localPlan = planLocally()
+      try {
+        checkLocalFallback(localPlan, wrapOptions)
+      } catch (fallbackError) {
+        throw e
+      }
+      emit(wrapOptions, 'fallback', {url: plan.url, error: e, plan: localPlan})
+      emitLocalFallback(wrapOptions, method, localPlan)
+      return executeSubsetPlan(localPlan, method, coverage, wrappedCoverage, valueConstraints, options, wrapOptions, api)
+    })
+}
+
+/**
+ * Creates an empty plan for the given constraints.
+ *
+ * A plan describes how a query or subset operation is executed:
+ *
+ * {
+ *   constraints: the constraints of the operation (axis name -> spec),
+ *   url: the URL that is requested, or undefined if everything is done locally,
+ *   server: {filter, subset, paging} API concept -> spec, the constraints applied by the server,
+ *   local: {filter, subset, paging} axis name -> spec, the constraints applied locally,
+ *   reasons: {filter, subset, paging} axis name -> {server: boolean, reason: string},
+ *   split: {axis, parts: [plan, ...], shift} only if the operation is split into several ones,
+ *     where shift is added to the axis values of the second part when stitching the results,
+ *   format: the media type in which data is requested, if given,
+ *   localSize: the estimated number of data values to be loaded for applying the local constraints,
+ *     0 if there are none or the data is loaded already
+ * }
+ *
+ * For subsets, there are no filter and paging parts, and local constraints are of the same type
+ * as the original ones, that is, index-based for subsetByIndex.
+ * For paging, the keys are 'sort', 'offset', and 'limit' instead of axis names and concepts.
+ *
+ * @param {Array<string>} types 'filter', 'subset', and/or 'paging'
+ */
+function createPlan (constraints, types) {
+  let plan = {
+    constraints,
+    url: undefined,
+    server: {},
+    local: {},
+    reasons: {},
+    localSize: 0
+  }
+  for (let type of types) {
+    plan.server[type] = {}
+    plan.local[type] = {}
+    plan.reasons[type] = {}
+  }
+  return plan
+}
+
+/**
+ * Adds a constraint to a plan, either as server or local constraint.
+ *
+ * @param {string} type 'filter' or 'subset'
+ * @param {string} [concept] The API concept, required if useApi is true.
+ */
+function addToPlan (plan, type, axis, concept, constraint, useApi, reason) {
+  if (useApi) {
+    plan.server[type][concept] = constraint
+  } else {
+    plan.local[type][axis] = constraint
+  }
+  plan.reasons[type][axis] = {server: Boolean(useApi), reason}
+}
+
+/**
+ * Adds all given constraints to a plan as local constraints with the same reason.
+ */
+function addLocallyToPlan (plan, type, constraints, reason) {
+  for (let axis of Object.keys(constraints)) {
+    addToPlan(plan, type, axis, undefined, constraints[axis], false, reason)
+  }
+  return plan
+}
+
+/**
+ * Sets the URL of a plan if there are any server constraints.
+ */
+function finishPlan (plan, api) {
+  if (Object.keys(plan.server).some(type => Object.keys(plan.server[type]).length > 0)) {
+    plan.url = api.getUrl(plan.server)
+  }
+  return plan
+}
+
+function planSubsetByIndex (coverage, domain, api, constraints) {
+  let plan = createPlan(constraints, ['subset'])
+  if (coverage.loaded) {
+    return addLocallyToPlan(plan, 'subset', constraints, 'coverage is fully loaded')
+  }
+
+  let caps = api.capabilities.subset
+  let axisMap = getAxisConcepts(domain)
+
+  /*
+   * If the API supports generic index-based subsetting, then this is used.
+   * If not, several emulation strategies are used instead (if possible).
+   */
+
+  if (caps.index) {
+    plan.server.subset.index = constraints
+    for (let axis of Object.keys(constraints)) {
+      plan.reasons.subset[axis] = {server: true, reason: 'index subsetting supported by API'}
+    }
+  } else {
+    // try to emulate some constraints
+    for (let axis of Object.keys(constraints)) {
+      let useApi = false
+      let constraint = constraints[axis]
+      let concept = axisMap[axis]
+      let cap = caps[concept]
+      let reason
+      
+      if (!cap) {
+        reason = getUnsupportedReason('subsetting', concept)
+      } else if (typeof constraint !== 'object') {
+        if (cap.start && cap.stop) {
+          // emulate identity match via start/stop
+          let val = domain.axes.get(axis).values[constraint]
+          constraint = {start: val, stop: val}
+          useApi = true
+          reason = 'index emulated via start/stop of the axis value'
+        } else {
+          reason = 'start/stop subsetting not supported by API'
+        }
+      } else if (!constraint.step) {
+        // start / stop
+        if (cap.start && cap.stop) {
+          let start = domain.axes.get(axis).values[constraint.start]
+          let stop = domain.axes.get(axis).values[constraint.stop]
+          constraint = {start, stop}
+          useApi = true
+          reason = 'index range emulated via start/stop of the axis values'
+        } else {
+          reason = 'start/stop subsetting not supported by API'
+        }
+      } else {
+        reason = 'steps not supported by API'
+      }
+      
+      addToPlan(plan, 'subset', axis, concept, constraint, useApi, reason)
+    }
+  }
+
+  toLocalConstraintsIfDependencyMissing(plan.server.subset, plan.local.subset, caps, axisMap, plan.reasons.subset)
+  useOriginalLocalConstraints(plan)
+
+  plan.localSize = estimateLocalSize(domain, plan, constraints, true) * coverage.parameters.size
+
+  return finishPlan(plan, api)
+}
+
+function planSubsetByValue (coverage, domain, api, constraints, wrapOptions) {
+  let plan = createPlan(constraints, ['subset'])
+  if (coverage.loaded) {
+    return addLocallyToPlan(plan, 'subset', constraints, 'coverage is fully loaded')
+  }
+
+  let caps = api.capabilities.subset
+  let axisMap = getAxisConcepts(domain)
+
+  // A longitude range crossing the wrapping point of the axis cannot be expressed
+  // as a single API request. Instead, both sides are subsetted separately and stitched together.
+  let split = splitAtLongitudeWrap(domain, constraints)
+  if (split && (caps[axisMap[split.axis]] || caps.index)) {
+    let parts = split.parts.map(part => planSubsetByValue(coverage, domain, api, part, wrapOptions))
+    plan.split = {
+      axis: split.axis,
+      parts,
+      shift: split.shift
+    }
+    for (let axis of Object.keys(constraints)) {
+      let reason = axis === split.axis
+        ? 'range crosses the antimeridian and is split into ' + parts.length + ' subsets'
+        : 'applied to each split subset'
+      plan.reasons.subset[axis] = {server: parts.some(part => part.url !== undefined), reason}
+    }
+    plan.localSize = parts.reduce((size, part) => size + part.localSize, 0)
+    return plan
+  }
+
+  /* If the API does not support target-based subsetting, then this can be emulated
+   * via intersection-based subsetting by inspecting the domain locally first
+   * and then subsetting with equal start/stop with the identified domain value.
+   * The same is done for exact match subsetting.
+   *
+   * If the axis has bounds and they are aligned such that a bound start or end
+   * is identical to the axis value and the neighboring bounds share their start/end
+   * (common in WaterML), then using the axis value would intersect two axis steps instead of one.
+   * In that case, the middle of the bounds is used instead, see getSafeCellValue().
+   */
+
+  for (let axis of Object.keys(constraints)) {
+    let useApi = false
+    let constraint = constraints[axis]
+    let concept = axisMap[axis]
+    let cap = caps[concept]
+    let reason
+
+    if (!cap) {
+      reason = getUnsupportedReason('subsetting', concept)
+    } else if (typeof constraint !== 'object') {
+      if (cap.identity) {
+        useApi = true
+        reason = 'exact match supported by API'
+      } else if (cap.start && cap.stop) {
+        // emulate identity match via start/stop if we find a matching axis value
+        if (getExactIndex(domain, axis, constraint) !== undefined) {
+          constraint = {start: constraint, stop: constraint}
+          useApi = true
+          reason = 'exact match emulated via start/stop'
+        } else {
+          reason = 'exact match not supported by API and the value is not an axis value'
+        }
+      } else {
+        reason = 'exact match not supported by API'
+      }
+    } else if ('target' in constraint) {
+      if (canUseTarget(cap, constraints, axisMap)) {
+        useApi = true
+        reason = 'target supported by API'
+      } else if (cap.start && cap.stop) {
+        // emulate target via start/stop
+        let [vals, bounds, target] = prepareForAxisArraySearch(domain, axis, constraint.target)
+        let [minBound, maxBound] = getAxisExtent(vals, bounds, getAxisHint(wrapOptions, axis))
+        // if the target is outside the axis extent then the API can't be used (as there is no intersection then)
+        if (minBound <= target && target <= maxBound) {
+          let idx = getClosestIndex(domain, axis, constraint.target)
+          let val = getSafeCellValue(domain, axis, idx)
+          constraint = {start: val, stop: val}
+          useApi = true
+          reason = 'target emulated via start/stop of the closest axis value'
+        } else {
+          reason = 'target not supported by API and outside the axis extent'
+        }
+      } else {
+        reason = getTargetUnsupportedReason(cap)
+      }
+    } else {
+      // start / stop
+      useApi = cap.start && cap.stop
+      
+      if (useApi) {
+        // snap start/stop to axis values to increase the chance of using a cached request
+        let [vals, bounds, start, stop] = prepareForAxisArraySearch(domain, axis, constraint.start, constraint.stop)
+        let [minBound, maxBound] = getAxisExtent(vals, bounds, getAxisHint(wrapOptions, axis))
+        if (stop < minBound || start > maxBound) {
+          // if both start and stop are outside the axis extent, then snapping would be wrong (has to be an error)
+          throw new ConstraintError('start or stop must be inside the axis extent',
+            {operation: 'subset', axis, concept, constraint})
+        } else if (bounds) {
+          // snap to safe values within the first and last intersecting cells
+          let range = getIntersectingIndexRange(vals, bounds, start, stop)
+          if (range) {
+            let startVal = getSafeCellValue(domain, axis, range.start)
+            let stopVal = getSafeCellValue(domain, axis, range.stop)
+            let [, , startNum, stopNum] = prepareForAxisArraySearch(domain, axis, startVal, stopVal)
+            if (startNum > stopNum) {
+              [startVal, stopVal] = [stopVal, startVal]
+            }
+            constraint = {start: startVal, stop: stopVal}
+          }
+        } else {
+          let idxStart = getClosestIndexArr(vals, start)
+          let idxStop = getClosestIndexArr(vals, stop)
+          let axisVals = domain.axes.get(axis).values
+          constraint = {start: axisVals[idxStart], stop: axisVals[idxStop]}
+        }
+        reason = 'start/stop supported by API, snapped to axis values'
+      } else {
+        reason = 'start/stop subsetting not supported by API'
+      }
+    }
+
+    addToPlan(plan, 'subset', axis, concept, constraint, useApi, reason)
+  }
+
+  toLocalConstraintsIfDependencyMissing(plan.server.subset, plan.local.subset, caps, axisMap, plan.reasons.subset)
+  useOriginalLocalConstraints(plan)
+
+  // If some constraints cannot be applied with API axis-value-subsetting, then
+  // we try to emulate all constraints with a single API axis-index-subsetting request.
+  if (caps.index && Object.keys(plan.local.subset).length > 0) {
+    let [indexConstraints, remainingConstraints] = valueToIndexConstraints(domain, constraints)
+    if (Object.keys(indexConstraints).length > 0) {
+      plan.server.subset = {index: indexConstraints}
+      plan.local.subset = remainingConstraints
+      for (let axis of Object.keys(indexConstraints)) {
+        plan.reasons.subset[axis] = {server: true, reason: 'emulated via API index subsetting'}
+      }
+      for (let axis of Object.keys(remainingConstraints)) {
+        if (plan.reasons.subset[axis].server) {
+          plan.reasons.subset[axis] = {server: false, reason: 'no matching axis indices for API index subsetting'}
+        }
+      }
+    }
+  }
+
+  plan.localSize = estimateLocalSize(domain, plan, constraints, false) * coverage.parameters.size
+
+  return finishPlan(plan, api)
+}
+
+/**
+ * Replaces local subset constraints which were converted for the API and then moved back
+ * to the local ones (see toLocalConstraintsIfDependencyMissing()) by the original constraints.
+ * This is required for index-based subsetting where converted constraints are value-based.
+ */
+function useOriginalLocalConstraints (plan) {
+  for (let axis of Object.keys(plan.local.subset)) {
+    plan.local.subset[axis] = plan.constraints[axis]
+  }
+}
+
+/**
+ * Estimates the number of data values per parameter and coverage which have to be loaded
+ * in order to apply the local constraints of a plan, based on the axis lengths of the domain.
+ * Axes constrained by the server only count with the number of values selected by the server.
+ * Returns 0 if there are no local constraints.
+ *
+ * @param {object} constraints Axis name -> the original subset constraint.
+ * @param {boolean} isIndex Whether the constraints are index-based.
+ */
+function estimateLocalSize (domain, plan, constraints, isIndex) {
+  if (!hasLocalConstraints(plan)) {
+    return 0
+  }
+  let size = 1
+  for (let [axis, {values}] of domain.axes) {
+    let count = values.length
+    let reason = plan.reasons.subset[axis]
+    if (reason && reason.server) {
+      let idx = isIndex ? constraints[axis] : valueToIndexConstraints(domain, {[axis]: constraints[axis]})[0][axis]
+      if (typeof idx === 'number') {
+        count = 1
+      } else if (idx) {
+        count = Math.floor((idx.stop - idx.start) / (idx.step || 1)) + 1
+      }
+    }
+    size *= count
+  }
+  return size
+}
+
+/**
+ * Checks whether the local constraints of a plan may be applied according to the
+ * localFallback and localFallbackBudget wrap options.
+ *
+ * @throws {LocalFallbackError} If the local fallback is not allowed.
+ */
+function checkLocalFallback (plan, wrapOptions) {
+  if (plan.localSize === 0) {
+    return
+  }
+  let mode = wrapOptions.localFallback || 'allow'
+  let budget = wrapOptions.localFallbackBudget
+  let description = 'Local fallback for ' + describeLocalConstraints(plan) +
+    ' with an estimated ' + plan.localSize + ' values'
+  if (mode === 'server-only') {
+    throw new LocalFallbackError(description + ' is not allowed', plan)
+  } else if (budget !== undefined && plan.localSize > budget) {
+    throw new LocalFallbackError(description + ' exceeds the budget of ' + budget + ' values', plan)
+  } else if (mode === 'warn') {
+    emit(wrapOptions, 'warning', {message: description, plan})
+  }
+}
+
+/**
+ * Emits a localFallback event if the plan applies some constraints locally.
+ *
+ * @param {string} method 'subsetByIndex', 'subsetByValue', 'selectParameters', or 'query'.
+ */
+function emitLocalFallback (wrapOptions, method, plan) {
+  if (hasLocalConstraints(plan)) {
+    emit(wrapOptions, 'localFallback', {method, plan})
+  }
+}
+
+/**
+ * Returns a human-readable list of the local constraints of a plan and their reasons.
+ */
+function describeLocalConstraints (plan) {
+  if (plan.split) {
+    return plan.split.parts.map(describeLocalConstraints).filter(description => description).join(', ')
+  }
+  let descriptions = []
+  for (let type of Object.keys(plan.reasons)) {
+    for (let axis of Object.keys(plan.reasons[type])) {
+      let {server, reason} = plan.reasons[type][axis]
+      if (!server) {
+        descriptions.push(type + ' ' + axis + ' (' + reason + ')')
+      }
+    }
+  }
+  return descriptions.join(', ')
+}
+
+/**
+ * Returns whether a target constraint can be sent to the API, that is, target subsetting
+ * is supported and the constraints of all concepts it depends on are targets as well.
+ * E.g. a horizontal position can only be used if both x and y have a target.
+ */
+function canUseTarget (cap, constraints, axisConcepts) {
+  if (!cap.target) {
+    return false
+  }
+  return (cap.dependency || []).every(concept => {
+    let axis = Object.keys(axisConcepts).filter(axis => axisConcepts[axis] === concept)[0]
+    let constraint = constraints[axis]
+    return typeof constraint === 'object' && constraint !== null && 'target' in constraint
+  })
+}
+
+function getTargetUnsupportedReason (cap) {
+  if (cap.target) {
+    return 'API requires a target on ' + cap.dependency.join(' and ') + ' as well'
+  }
+  return 'target not supported by API'
+}
+
+/**
+ * Returns a human-readable reason why a constraint cannot be applied by the API.
+ *
+ * @param {string} operation 'filtering' or 'subsetting'
+ * @param {string} [concept] The API concept of the axis, if any.
+ */
+function getUnsupportedReason (operation, concept) {
+  if (!concept) {
+    return 'axis has no API equivalent'
+  }
+  return operation + ' by ' + concept + ' not supported by API'
+}
+
+/**
+ * Sets the format of a plan. If the plan has a URL and the API has a format mapping,
+ * then the format is included in the URL, otherwise it is only passed to the loader.
+ * The parts of split plans get the format as well.
+ *
+ * @param {string} [format] The media type, if undefined the plan is returned unchanged.
+ */
+function applyFormat (plan, api, format) {
+  if (format) {
+    plan.format = format
+    if (plan.url) {
+      plan.url = getUrlInFormat(api, plan.server, format)
+    }
+    if (plan.split) {
+      plan.split.parts.forEach(part => applyFormat(part, api, format))
+    }
+  }
+  return plan
+}
+
+/**
+ * Returns the URL for the given API constraints, including the format if the API has a format mapping.
+ */
+function getUrlInFormat (api, constraints, format) {
+  return api.getUrl(format && api.supportsFormat ? withFormat(constraints, format) : constraints)
+}
+
+/**
+ * Returns a copy of the given constraints or loader options with the given format,
+ * unless a format is set already.
+ */
+function withFormat (obj = {}, format) {
+  if (!format || obj.format) {
+    return obj
+  }
+  let copy = shallowcopy(obj)
+  copy.format = format
+  return copy
+}
+
+/**
+ * Loads a coverage or collection as a whole in the format given in the options.
+ * A Link alternate with that format is used if available, otherwise the format mapping
+ * of the URL template, or else the id of the coverage or collection with the format
+ * passed to the loader.
+ */
+function loadInFormat (data, api, options, wrapOptions) {
+  let alternate = api.alternates.find(alt => alt.format === options.format)
+  let url
+  if (alternate) {
+    url = alternate.url
+  } else if (api.supportsFormat) {
+    url = api.getUrl({format: options.format})
+  } else {
+    url = data.id
+  }
+  return loadUrl(url, options, wrapOptions, api)
+}
+
+function loadCoverageInFormat (coverage, api, options, wrapOptions) {
+  return loadInFormat(coverage, api, options, wrapOptions).then(cov => wrap(cov, wrapOptions))
+}
+
+/**
+ * Loads the given URL with the loader of the wrap options for the requested format,
+ * going through the cache if one is configured.
+ * Loader failures are wrapped in a LoaderError.
+ *
+ * If the options have an abort signal, then nothing is loaded once it is aborted,
+ * and the returned Promise fails with an AbortError as soon as it is aborted.
+ *
+ * Failures are handled with the policy of the wrap options, see loadWithPolicy(),
+ * where the URL template of the given API identifies the circuit breaker.
+ * Each attempt emits a response or error event, preceded by a request event if the loader is called,
+ * that is, unless the data comes from the cache.
+ *
+ * @param {API} [api] The API which the URL belongs to.
+ */
+function loadUrl (url, options = {}, wrapOptions, api) {
+  let loader = wrapOptions.loader
+  if (options.format && wrapOptions.loaders && wrapOptions.loaders[options.format]) {
+    loader = wrapOptions.loaders[options.format]
+  }
+  let signal = options.signal
+  let template = getCircuitTemplate(url, api)
+  let load = () => new Promise(resolve => {
+    throwIfAborted(signal)
+    let start = Date.now()
+    let cached = false
+    // not emitted for data from the cache, only when the loader is actually called
+    let emitRequest = () => emit(wrapOptions, 'request', {url, format: options.format})
+    let loading = new Promise(resolve => {
+      if (wrapOptions.cache) {
+        // cached requests are shared by all callers, so a single caller must not abort them
+        let loaderOptions = shallowcopy(options)
+        delete loaderOptions.signal
+        cached = true
+        resolve(wrapOptions.cache.load(url, loaderOptions, (url, options) => {
+          cached = false
+          emitRequest()
+          return loader(url, options)
+        }))
+      } else {
+        emitRequest()
+        resolve(loader(url, options))
+      }
+    })
+    resolve(loading.then(data => {
+      emit(wrapOptions, 'response', {url, duration: Date.now() - start, cached})
+      return data
+    }, e => {
+      emit(wrapOptions, 'error', {url, duration: Date.now() - start, error: e})
+      throw e
+    }))
+  })
+  let promise = loadWithPolicy(load, url, options, wrapOptions, template)
+  return abortable(promise.catch(e => {
+    if (e instanceof AbortError || e instanceof CircuitOpenError) {
+      throw e
+    } else if (signal && signal.aborted) {
+      throw getAbortError(signal)
+    }
+    throw new LoaderError('Loading ' + url + ' failed: ' + (e && e.message), {url, cause: e})
+  }), signal)
+}
+
+/**
+ * Returns the URL template identifying the circuit breaker for a URL, see loadWithPolicy(),
+ * which is the URL template of the API or, if there is none, the URL without query.
+ *
+ * @param {API} [api] The API which the URL belongs to.
+ */
+function getCircuitTemplate (url, api) {
+  return api && api.hasUrlTemplate ? api.urlTemplate.template : url.split('?')[0]
+}
+
+/**
+ * CovJSON document of a coverage -> Promise of its domain, for domains loaded via loadCoverageDomain().
+ * Keyed by the document such that copies of a coverage, e.g. wrapped ones, share the loaded domain.
+ */
+const loadedDomains = new WeakMap()
 
 /**
- * Wraps a Coverage or Coverage Collection object and executes certain functions
- * via a remote API, in particular subsetting.
- * 
- * @param {object} data The Coverage API object to wrap.
- * @param {object} options Options which control the behaviour of the wrapper.
- * @param {function} options.loader 
- *   The function to use for loading coverage data from a URL.
- *   It is called as loader(url, options) where options corresponds to the
- *   options parameter of Coverage.subsetBy* and CoverageCollectionQuery.execute.
- *   It must return a Promise succeeding with a Coverage Data API object.
- *   
- * @returns {object} The wrapped Coverage Data API object.
+ * Loads the domain of a coverage with the abort signal of the given options.
+ *
+ * If the domain is a separate document, then it is loaded with loadUrl() such that the request
+ * is cancelled with the signal and goes through the cache and policy of the wrap options.
+ * Successfully loaded domains are remembered. Otherwise, or if no wrap options are given,
+ * the loadDomain() function of the coverage is used and an aborted signal only stops waiting for it.
+ *
+ * @param {object} [wrapOptions] The options of the wrapped coverage, see wrap().
+ * @returns {Promise<object>} A Promise succeeding with the domain.
  */
-export function wrap (data, options) {
-  if (typeof options.loader !== 'function') {
-    throw new Error('options.loader must be a function')
+function loadCoverageDomain (coverage, options, wrapOptions) {
+  let url = getDomainUrl(coverage)
+  if (!url || !wrapOptions) {
+    return abortable(coverage.loadDomain(), options.signal)
   }
-  if (data.type === COVERAGECOLLECTION) {
-    return wrapCollection(data, options)
-  } else if (data.type === COVERAGE) {
-    return wrapCoverage(data, options)
-  } else {
-    // Domain or other unknown type
-    return data
+  let covjson = coverage._covjson
+  if (loadedDomains.has(covjson)) {
+    return abortable(loadedDomains.get(covjson), options.signal)
   }
+  return loadUrl(url, {signal: options.signal}, wrapOptions).then(domain => {
+    loadedDomains.set(covjson, Promise.resolve(domain))
+    return domain
+  })
 }
 
-function wrapCollection (collection, wrapOptions) {
-  // TODO wrap each individual coverage as well!
-  return API.discover(collection).then(api => {
-    let newcoll = shallowcopy(collection)
-    newcoll.query = () => {
-      let query = collection.query()
-      return new QueryProxy(query, newcoll, api, wrapOptions)
-    }
-    if (api.isPaged) {
-      let load = wrapOptions.loader
-      let wrapPageLink = url => {
-        if (!url) return
-        return {
-          load: (options) => load(url, options).then(coll => wrap(coll, wrapOptions))
-        }
+/**
+ * Returns the URL of the domain of a coverage if it is a separate document, otherwise undefined.
+ *
+ * Coverages of covjson-reader keep their CovJSON document as _covjson, whose domain
+ * is either embedded or a URL. A coverage with its own loadDomain() function is derived from
+ * such a coverage, e.g. subsetted locally, and the document does not describe its domain.
+ */
+function getDomainUrl (coverage) {
+  let covjson = coverage._covjson
+  if (covjson && typeof covjson.domain === 'string' && !coverage.hasOwnProperty('loadDomain')) {
+    return covjson.domain
+  }
+}
+
+/**
+ * Wraps a coverage which was (partially) subsetted locally and records its provenance.
+ *
+ * A locally subsetted coverage cannot be subsetted via the API directly
+ * as the API metadata does not know about the local subset and would return too much data.
+ * Instead, the value constraints which lead from the API-backed origin coverage to the
+ * subset are stored, and a subsequent subset operation is replayed on the origin coverage
+ * with the combined constraints. The origin coverage then decides again which parts can be
+ * done via the API and which have to be applied locally.
+ *
+ * E.g.:
+ * 1. Coverage A with API info
+ * 2. Subset Coverage A by bounding box without API -> Coverage B with provenance (A, bbox)
+ * 3. Subset Coverage B by time -> Subset Coverage A by bbox and time, where time is done via the API
+ *
+ * If the constraints cannot be combined, then the subset is applied locally on the subsetted coverage
+ * and the result is returned unwrapped. This is subject to the localFallback and localFallbackBudget
+ * wrap options like any other local fallback.
+ *
+ * @param {object} subset The locally subsetted coverage.
+ * @param {object} origin The wrapped coverage which the subset was derived from.
+ * @param {object} [constraints] The value constraints that reproduce the subset from the origin coverage.
+ *   If undefined, then the subset cannot be reproduced and is returned unwrapped.
+ * @param {object} wrapOptions The options of the origin coverage, see wrap().
+ */
+function wrapLocalSubset (subset, origin, constraints, wrapOptions) {
+  if (!constraints) {
+    return subset
+  }
+  let wrappedSubset = shallowcopy(subset)
+  wrappedSubset.subsetByValue = (newConstraints, options = {}) => withCancellation(options, options => {
+    let domains = [loadCoverageDomain(origin, options, wrapOptions), loadCoverageDomain(subset, options)]
+    return Promise.all(domains).then(([originDomain, domain]) => {
+      newConstraints = cleanedConstraints(newConstraints)
+      if (!requiresSubsetting(domain, newConstraints)) {
+        return wrappedSubset
+      }
+      if (subset.loaded) {
+        return subset.subsetByValue(newConstraints, options)
+      }
+      let merged = mergeValueConstraints(originDomain, constraints, newConstraints)
+      if (!merged) {
+        let plan = planSubsetOfLocalSubset(subset, domain, newConstraints, false, UNMERGED_REASON)
+        checkLocalFallback(plan, wrapOptions)
+        emitLocalFallback(wrapOptions, 'subsetByValue', plan)
+        return subset.subsetByValue(newConstraints, options)
+      }
+      return origin.subsetByValue(merged, options)
+    })
+  })
+  wrappedSubset.subsetByIndex = (newConstraints, options = {}) => withCancellation(options, options => {
+    return loadCoverageDomain(subset, options).then(domain => {
+      newConstraints = cleanedConstraints(newConstraints)
+      let valueConstraints = indexToValueConstraints(domain, newConstraints)
+      if (subset.loaded) {
+        return subset.subsetByIndex(newConstraints, options)
+      }
+      if (!valueConstraints) {
+        let plan = planSubsetOfLocalSubset(subset, domain, newConstraints, true, UNREPLAYABLE_REASON)
+        checkLocalFallback(plan, wrapOptions)
+        emitLocalFallback(wrapOptions, 'subsetByIndex', plan)
+        return subset.subsetByIndex(newConstraints, options)
+      }
+      return wrappedSubset.subsetByValue(valueConstraints, options)
+    })
+  })
+  wrappedSubset.explainSubsetByValue = newConstraints => {
+    return Promise.all([origin.loadDomain(), subset.loadDomain()]).then(([originDomain, domain]) => {
+      newConstraints = cleanedConstraints(newConstraints)
+      let plan = createPlan(newConstraints, ['subset'])
+      if (!requiresSubsetting(domain, newConstraints)) {
+        return plan
+      }
+      if (subset.loaded) {
+        return addLocallyToPlan(plan, 'subset', newConstraints, 'coverage is fully loaded')
+      }
+      let merged = mergeValueConstraints(originDomain, constraints, newConstraints)
+      if (!merged) {
+        return planSubsetOfLocalSubset(subset, domain, newConstraints, false, UNMERGED_REASON)
       }
-      newcoll.paging = {
-        total: api.paging.total,
-        previous: wrapPageLink(api.paging.previous),
-        next: wrapPageLink(api.paging.next),
-        first: wrapPageLink(api.paging.first),
-        last: wrapPageLink(api.paging.last)
+      // the plan refers to the origin coverage and the combined constraints
+      return origin.explainSubsetByValue(merged)
+    })
+  }
+  wrappedSubset.explainSubsetByIndex = newConstraints => {
+    return subset.loadDomain().then(domain => {
+      newConstraints = cleanedConstraints(newConstraints)
+      let valueConstraints = indexToValueConstraints(domain, newConstraints)
+      let plan = createPlan(newConstraints, ['subset'])
+      if (!requiresSubsetting(domain, newConstraints)) {
+        return plan
+      } else if (subset.loaded) {
+        return addLocallyToPlan(plan, 'subset', newConstraints, 'coverage is fully loaded')
+      } else if (!valueConstraints) {
+        return planSubsetOfLocalSubset(subset, domain, newConstraints, true, UNREPLAYABLE_REASON)
       }
+      return wrappedSubset.explainSubsetByValue(valueConstraints)
+    })
+  }
+  wrappedSubset.selectParameters = (keys, options = {}) => withCancellation(options, options => {
+    checkParameterKeys(subset, keys)
+    if (subset.loaded) {
+      return selectParametersLocally(wrappedSubset, keys)
     }
-    return newcoll
+    return origin.selectParameters(keys, options).then(selected => selected.subsetByValue(constraints, options))
   })
+  return addExtractFunctions(wrappedSubset, wrapOptions)
 }
 
 /**
- * Collects the query parts and executes the query remotely
- * if possible.
+ * Plans a subset of a locally subsetted coverage which is applied locally on it, see wrapLocalSubset().
+ *
+ * @param {boolean} isIndex Whether the constraints are index-based.
  */
-class QueryProxy {
-  constructor (query, collection, api, wrapOptions) {
-    this._query = query
-    this._collection = collection
-    this._api = api
-    this._wrapOptions = wrapOptions
-    
-    this._filter = {}
-    this._subset = {}
+function planSubsetOfLocalSubset (subset, domain, constraints, isIndex, reason) {
+  let plan = addLocallyToPlan(createPlan(constraints, ['subset']), 'subset', constraints, reason)
+  plan.localSize = estimateLocalSize(domain, plan, constraints, isIndex) * subset.parameters.size
+  return plan
+}
+
+/**
+ * Returns a coverage which exposes only the given parameters of the given coverage
+ * and drops all other ranges. Subsets of it are derived from the given coverage
+ * and keep the parameter selection.
+ *
+ * @param {object} coverage The coverage, typically a wrapped one.
+ * @param {Array<string>} keys The keys of the parameters to keep.
+ */
+function selectParametersLocally (coverage, keys) {
+  let selected = shallowcopy(coverage)
+  selected.parameters = new Map(keys.map(key => [key, coverage.parameters.get(key)]))
+  selected.loadRange = key => {
+    if (!selected.parameters.has(key)) {
+      return Promise.reject(new ConstraintError('Parameter "' + key + '" was not selected', {parameter: key}))
+    }
+    return coverage.loadRange(key)
   }
-  
-  filter (spec) {
-    this._query.filter(spec)
-    mergeInto(spec, this._filter)
-    return this
+  selected.loadRanges = (paramKeys = keys) => {
+    return Promise.all(paramKeys.map(selected.loadRange)).then(ranges => new Map(paramKeys.map((key, i) => [key, ranges[i]])))
   }
-  
-  subset (spec) {
-    this._query.subset(spec)
-    mergeInto(spec, this._subset)
-    return this
+  selected.subsetByIndex = (constraints, options) => {
+    return coverage.subsetByIndex(constraints, options).then(subset => selectParametersLocally(subset, keys))
   }
-    
-  execute (options) {
-    let domainTemplate = this._collection.domainTemplate
-    if (domainTemplate) {
-      return this._doExecute(domainTemplate)
-    } else {
-      // inspect domain of first coverage and assume uniform collection
-      if (this._collection.coverages.length > 0) {
-        return this._collection.coverages[0].loadDomain().then(domain => this._doExecute(options, domain))
-      } else {
-        return this._query.execute(options)
+  selected.subsetByValue = (constraints, options) => {
+    return coverage.subsetByValue(constraints, options).then(subset => selectParametersLocally(subset, keys))
+  }
+  selected.explainSubsetByIndex = constraints => coverage.explainSubsetByIndex(constraints)
+  selected.explainSubsetByValue = constraints => coverage.explainSubsetByValue(constraints)
+  selected.selectParameters = newKeys => {
+    return Promise.resolve().then(() => {
+      checkParameterKeys(selected, newKeys)
+      if (coverage.selectParameters) {
+        return coverage.selectParameters(newKeys)
       }
-    }
+      return selectParametersLocally(coverage, newKeys)
+    })
   }
-  
-  _doExecute (options, domainTemplate) {
-    let load = this._wrapOptions.loader
-    
-    let filterCaps = this._api.capabilities.filter
-    let subsetCaps = this._api.capabilities.subset
-    let axisMap = getAxisConcepts(domainTemplate)
-    
-    // split constraints into API and locally applied ones
-    let apiConstraints = {
-      filter: {},
-      subset: {}
-    }
+  return addExtractFunctions(selected)
+}
 
-    let localFilterConstraints = {} // axis name -> spec
-    let localSubsetConstraints = {} // axis name -> spec
-    
-    // filtering
-    for (let axis of Object.keys(this._filter)) {
-      let constraint = this._filter[axis]      
-      let cap = filterCaps[axisMap[axis]]
-      if (cap && cap.start && cap.stop) {
-        apiConstraints.filter[axisMap[axis]] = constraint
-      } else {
-        localFilterConstraints[axis] = constraint
-      }
+function checkParameterKeys (coverage, keys) {
+  for (let key of keys) {
+    if (!coverage.parameters.has(key)) {
+      throw new ConstraintError('Unknown parameter: ' + key, {parameter: key})
     }
+  }
+}
 
-    // subsetting
-    for (let axis of Object.keys(this._subset)) {
-      let constraint = this._subset[axis]
-      let cap = subsetCaps[axisMap[axis]]
-      let useApi = false
-      
-      if (!cap) {
-        // leave useApi = false
-      } else if (typeof constraint !== 'object' && cap.identity) {
-        useApi = true
-      } else if ('target' in constraint && cap.target) {
-        useApi = true
-      } else if ('start' in constraint && 'stop' in constraint && cap.start && cap.stop) {
-        useApi = true
-      }
-      
-      if (useApi) {
-        apiConstraints.subset[axisMap[axis]] = constraint
-      } else {
-        localSubsetConstraints[axis] = constraint
-      }
+/**
+ * Checks whether a longitude range constraint crosses the wrapping point of the axis
+ * (e.g. from 170 to -170 when the axis has values within [-180,180]), and if so,
+ * returns an object {axis, parts, shift} where parts are the constraints for the part east of
+ * the wrapping point and west of it (each if non-empty), in the order of the axis values when
+ * stitched together: east first for ascending axes, west first for descending axes.
+ * shift is the number to add to the axis values of the second part, 360 or -360.
+ * Returns undefined if no constraint crosses the wrapping point.
+ */
+function splitAtLongitudeWrap (domain, constraints) {
+  for (let axis of Object.keys(constraints)) {
+    let constraint = constraints[axis]
+    if (!isRangeConstraint(constraint) || !isLongitudeAxis(domain, axis)) {
+      continue
     }
-    
-    toLocalConstraintsIfDependencyMissing(apiConstraints.filter, localFilterConstraints, filterCaps, axisMap)
-    toLocalConstraintsIfDependencyMissing(apiConstraints.subset, localSubsetConstraints, subsetCaps, axisMap)
-    
-    if (Object.keys(apiConstraints.filter).length === 0 && 
-        Object.keys(apiConstraints.subset).length === 0) {
-      return this._query.execute(options)
+    if (constraint.stop - constraint.start >= 360) {
+      // full longitude extent
+      continue
     }
-    
-    let url = this._api.getUrl(apiConstraints)        
-    return load(url, options).then(resultCollection => {
-      // apply remaining query parts
-      if (Object.keys(localSubsetConstraints).length > 0 || Object.keys(localFilterConstraints).length > 0) {
-        // the locally queried collection is NOT wrapped! see comment for coverage subsetting below
-        return resultCollection.query()
-          .filter(localFilterConstraints)
-          .subset(localSubsetConstraints)
-          .execute()
-      } else {
-        return wrap(resultCollection, this._wrapOptions)
+    let [vals, bounds, start, stop] = prepareForAxisArraySearch(domain, axis, constraint.start, constraint.stop)
+    if (start <= stop || vals.length < 2) {
+      continue
+    }
+    let [min, max] = getAxisExtent(vals, bounds, 'point')
+    let parts = []
+    if (start <= max) {
+      let east = shallowcopy(constraints)
+      east[axis] = {start, stop: max}
+      parts.push(east)
+    }
+    if (stop >= min) {
+      let west = shallowcopy(constraints)
+      west[axis] = {start: min, stop}
+      parts.push(west)
+    }
+    if (parts.length > 0) {
+      if (vals[0] > vals[1]) {
+        return {axis, parts: parts.reverse(), shift: -360}
       }
-    })
+      return {axis, parts, shift: 360}
+    }
   }
 }
 
-function wrapCoverage (coverage, wrapOptions) {
-  return API.discover(coverage).then(api => {
-    let wrappedCoverage = shallowcopy(coverage)
-    wrappedCoverage.subsetByIndex = wrappedSubsetByIndex(coverage, wrappedCoverage, api, wrapOptions)
-    wrappedCoverage.subsetByValue = wrappedSubsetByValue(coverage, wrappedCoverage, api, wrapOptions)
-    return wrappedCoverage
-  })
-}
-
-function wrappedSubsetByIndex (coverage, wrappedCoverage, api, wrapOptions) {
-  return (constraints, options = {}) => {
+/**
+ * Adds local value-based subsetting to a coverage which only supports
+ * index-based subsetting, like one returned by concatCoverages().
+ */
+function addLocalSubsetByValue (coverage) {
+  coverage.subsetByValue = (constraints, options) => {
     return coverage.loadDomain().then(domain => {
-      constraints = cleanedConstraints(constraints)
-      
-      if (!requiresSubsetting(domain, constraints)) {
-        return wrappedCoverage
-      }
-      
-      // if the coverage is fully loaded, then there is no need to use a server API
-      if (coverage.loaded) {
-        return coverage.subsetByIndex(constraints, options)
-      }
-      
-      let caps = api.capabilities.subset
-      let axisMap = getAxisConcepts(domain)
-      
-      /*
-       * If the API supports generic index-based subsetting, then this is used.
-       * If not, several emulation strategies are used instead (if possible).
-       */
-                
-      // we split the subsetting constraints into API-compatible and local ones
-      let apiConstraints = {
-        subset: {} // API concept -> spec
-      }
-      let localSubsetConstraints = {} // axis name -> spec
-      
-      if (caps.index) {
-        apiConstraints.subset.index = constraints
-      } else {
-        // try to emulate some constraints
-        for (let axis of Object.keys(constraints)) {
-          let useApi = false
-          let constraint = constraints[axis]
-          let cap = caps[axisMap[axis]]
-          
-          if (!cap) {
-            // leave useApi = false
-          } else if (typeof constraint !== 'object') {
-            if (cap.start && cap.stop) {
-              // emulate identity match via start/stop
-              let val = domain.axes.get(axis).values[constraint]
-              constraint = {start: val, stop: val}
-              useApi = true
-            }
-          } else if (!constraint.step) {
-            // start / stop
-            if (cap.start && cap.stop) {
-              let start = domain.axes.get(axis).values[constraint.start]
-              let stop = domain.axes.get(axis).values[constraint.stop]
-              constraint = {start, stop}
-              useApi = true
-            }
-          }
-                       
-          if (useApi) {
-            apiConstraints.subset[axisMap[axis]] = constraint
-          } else {
-            localSubsetConstraints[axis] = constraint
-          }
-        }
+      let [indexConstraints, remainingConstraints] = valueToIndexConstraints(domain, cleanedConstraints(constraints))
+      let axes = Object.keys(remainingConstraints)
+      if (axes.length > 0) {
+        throw new ConstraintError('No axis values found matching the subset constraints for axes: ' + axes.join(', '),
+          {operation: 'subset', axis: axes[0], constraint: remainingConstraints[axes[0]]})
       }
+      return coverage.subsetByIndex(indexConstraints, options)
+    })
+  }
+  return coverage
+}
 
-      toLocalConstraintsIfDependencyMissing(apiConstraints.subset, localSubsetConstraints, caps, axisMap)
-      
-      if (Object.keys(apiConstraints.subset).length === 0) {
-        // Note that we DON'T wrap the locally subsetted coverage again.
-        // This would be incorrect as a partially applied local subset would not be
-        // known by the API metadata and therefore a subsequent API subset operation would
-        // return wrong data (too much).
-        // A way out would be to attach the original API info to the original coverage identity,
-        // which can be established with "subsetOf".
-        // Somewhere the constraints used for subsetting would have to be stored as well,
-        // so that we can reproduce them.
-        // E.g.:
-        // 1. Coverage A with API info
-        // 2. Subset Coverage A by bounding box without API -> Coverage B with subset relationship to Coverage A
-        // 3. Subset Coverage B by time
-        //  3.1. Subset Coverage A by time with API -> Coverage C with API info
-        //  3.2. Subset Coverage C by bounding box without API -> Coverage D with subset relationship to Coverage C
-        // TODO implement that or think of something simpler
-        return coverage.subsetByIndex(constraints, options)
+/**
+ * Converts index-based subsetting constraints to equivalent value-based constraints
+ * using the axis values of the given domain.
+ * Returns undefined if the constraints cannot be expressed with axis values,
+ * which is the case for steps other than 1.
+ */
+function indexToValueConstraints (domain, constraints) {
+  let valueConstraints = {}
+  for (let axis of Object.keys(constraints)) {
+    let constraint = constraints[axis]
+    let vals = domain.axes.get(axis).values
+    if (typeof constraint !== 'object') {
+      valueConstraints[axis] = vals[constraint]
+    } else if (constraint.step && constraint.step !== 1) {
+      return
+    } else {
+      let start = vals[constraint.start]
+      let stop = vals[constraint.stop]
+      let [, , startNum, stopNum] = prepareForAxisArraySearch(domain, axis, start, stop)
+      if (startNum > stopNum) {
+        [start, stop] = [stop, start]
       }
-      
-      let url = api.getUrl(apiConstraints)
-      return wrapOptions.loader(url, options).then(subset => {
-        // apply remaining subset constraints
-        if (Object.keys(localSubsetConstraints).length > 0) {
-          // again, we DON'T wrap the locally subsetted coverage again, see above
-          return subset.subsetByIndex(localSubsetConstraints, options)
-        } else {
-          return wrap(subset, wrapOptions)
-        }
-      })
-    })
+      valueConstraints[axis] = {start, stop}
+    }
   }
+  return valueConstraints
 }
 
-function wrappedSubsetByValue (coverage, wrappedCoverage, api, wrapOptions) {
-  return (constraints, options = {}) => {
-    return coverage.loadDomain().then(domain => {
-      constraints = cleanedConstraints(constraints)
-      
-      if (!requiresSubsetting(domain, constraints)) {
-        return wrappedCoverage
+/**
+ * Combines two sets of value constraints such that applying the result
+ * is equivalent to applying the previous constraints and then the next constraints.
+ * Returns undefined if that is not possible.
+ * Throws a ConstraintError if the next constraints match none of the axis steps left by the previous ones.
+ *
+ * @param {object} domain The domain that both constraints are relative to.
+ */
+function mergeValueConstraints (domain, previous, next) {
+  let merged = shallowcopy(previous)
+  for (let axis of Object.keys(next)) {
+    let prev = previous[axis]
+    let constraint = next[axis]
+    if (prev === undefined) {
+      merged[axis] = constraint
+      continue
+    }
+    let [vals, bounds] = prepareForAxisArraySearch(domain, axis)
+    if (!isRangeConstraint(prev)) {
+      // the axis was already reduced to a single step, a target keeps it,
+      // a range or exact value either keeps it or matches nothing
+      let idx = typeof prev === 'object' ? getClosestIndex(domain, axis, prev.target) : getExactIndex(domain, axis, prev)
+      if (idx === undefined) {
+        return
       }
-      
-      // if the coverage is fully loaded, then there is no need to use a server API
-      if (coverage.loaded) {
-        return coverage.subsetByValue(constraints, options)
+      if (isRangeConstraint(constraint)) {
+        let [, , start, stop] = prepareForAxisArraySearch(domain, axis, constraint.start, constraint.stop)
+        if (start > stop) {
+          return
+        }
+        let steps = getIntersectingIndexRange(vals, bounds, start, stop)
+        if (!steps || idx < steps.start || idx > steps.stop) {
+          throw getEmptySubsetError(axis, constraint)
+        }
+      } else if (typeof constraint !== 'object' && getExactIndex(domain, axis, constraint) !== idx) {
+        throw getEmptySubsetError(axis, constraint)
       }
-      
-      let caps = api.capabilities.subset      
-      let axisMap = getAxisConcepts(domain)
-      
-      /* If the API does not support target-based subsetting, then this can be emulated
-       * via intersection-based subsetting by inspecting the domain locally first
-       * and then subsetting with equal start/stop with the identified domain value.
-       * The same is done for exact match subsetting.
-       * 
-       * FIXME this approach will return invalid results (two instead of one axis step)
-       * if the axis has bounds and they are aligned such that a bound start or end
-       * is identical to the axis value and the neighboring bounds share their start/end.
-       * This is common in WaterML. To account for that, this scenario could be explicitly checked for.
-       * A safe start/stop would then be a newly calculated axis value which is in the middle
-       * of the bounds.
-       */
-      
-      // TODO if API axis-value-subsetting is not supported, try to emulate with API axis-index-subsetting
-        
-      // we split the subsetting constraints into API-compatible and local ones
-      let apiConstraints = {
-        subset: {} // API concept -> spec
+      continue
+    }
+    let [, , prevStart, prevStop] = prepareForAxisArraySearch(domain, axis, prev.start, prev.stop)
+    if (prevStart > prevStop) {
+      // range crosses the longitude wrapping point
+      return
+    }
+    if (isRangeConstraint(constraint)) {
+      let [, , start, stop] = prepareForAxisArraySearch(domain, axis, constraint.start, constraint.stop)
+      if (start > stop) {
+        return
       }
-      let localSubsetConstraints = {} // axis name -> spec
-      
-      for (let axis of Object.keys(constraints)) {
-        let useApi = false
-        let constraint = constraints[axis]
-        let cap = caps[axisMap[axis]]
-        let isTimeString = isISODateAxis(domain, axis)
-        
-        if (!cap) {
-          // leave useApi = false
-        } else if (typeof constraint !== 'object') {
-          if (cap.identity) {
-            useApi = true
-          } else if (cap.start && cap.stop) {
-            // emulate identity match via start/stop if we find a matching axis value
-            let idx = getClosestIndex(domain, axis, constraint.target)
-            let val = domain.axes.get(axis).values[idx]
-            if (isTimeString) {
-              if (new Date(val).getTime() === new Date(constraint).getTime()) {
-                constraint = {start: constraint, stop: constraint}
-                useApi = true
-              }
-            } else if (val === constraint) {
-              constraint = {start: constraint, stop: constraint}
-              useApi = true
-            }
-          }
-        } else if ('target' in constraint) {
-          if (cap.target) {
-            useApi = true
-          } else if (cap.start && cap.stop) {
-            // emulate target via start/stop
-            let [vals, bounds, target] = prepareForAxisArraySearch(domain, axis, constraint.target)
-            let [minBound,maxBound] = getAxisExtent(vals, bounds)
-            // if the target is outside the axis extent then the API can't be used (as there is no intersection then)
-            if (minBound <= target && target <= maxBound) {
-              // FIXME handle explicit bounds
-              let idx = getClosestIndex(domain, axis, constraint.target)
-              let val = domain.axes.get(axis).values[idx]
-              constraint = {start: val, stop: val}
-              useApi = true
-            }
-          }
-        } else {
-          // start / stop
-          useApi = cap.start && cap.stop
-          
-          if (useApi) {
-            // snap start/stop to axis values to increase the chance of using a cached request
-            let [vals, bounds, start, stop] = prepareForAxisArraySearch(domain, axis, constraint.start, constraint.stop)
-            let [minBound,maxBound] = getAxisExtent(vals, bounds)
-            if (stop < minBound || start > maxBound) {
-              // if both start and stop are outside the axis extent, then snapping would be wrong (has to be an error)
-              throw new Error('start or stop must be inside the axis extent')
-            } else {
-              // FIXME handle explicit bounds
-              let idxStart = getClosestIndexArr(vals, start)
-              let idxStop = getClosestIndexArr(vals, stop)
-              let axisVals = domain.axes.get(axis).values
-              constraint = {start: axisVals[idxStart], stop: axisVals[idxStop]}
-            }
-          }
+      let prevSteps = getIntersectingIndexRange(vals, bounds, prevStart, prevStop)
+      let steps = getIntersectingIndexRange(vals, bounds, start, stop)
+      if (!prevSteps || !steps || Math.max(prevSteps.start, steps.start) > Math.min(prevSteps.stop, steps.stop)) {
+        throw getEmptySubsetError(axis, constraint)
+      }
+      if (start <= prevStop && prevStart <= stop) {
+        merged[axis] = {
+          start: start > prevStart ? constraint.start : prev.start,
+          stop: stop < prevStop ? constraint.stop : prev.stop
         }
-                     
-        if (useApi) {
-          apiConstraints.subset[axisMap[axis]] = constraint
-        } else {
-          localSubsetConstraints[axis] = constraint
+      } else {
+        // the ranges are disjoint but both intersect the bounds of the steps in between
+        let first = Math.max(prevSteps.start, steps.start)
+        let last = Math.min(prevSteps.stop, steps.stop)
+        if (vals[first] > vals[last]) {
+          [first, last] = [last, first]
         }
+        merged[axis] = {start: getSafeCellValue(domain, axis, first), stop: getSafeCellValue(domain, axis, last)}
       }
-      
-      toLocalConstraintsIfDependencyMissing(apiConstraints.subset, localSubsetConstraints, caps, axisMap)
-      
-      if (Object.keys(apiConstraints.subset).length === 0) {
-        // again, we DON'T wrap the locally subsetted coverage again, see above
-        return coverage.subsetByValue(constraints, options)
+    } else {
+      // the matched axis value must be within the previous range, otherwise the
+      // nearest neighbor (or exact match) in the subset would be a different one
+      let val = typeof constraint === 'object' ? constraint.target : constraint
+      let idx = getClosestIndex(domain, axis, val)
+      if (vals[idx] < prevStart || vals[idx] > prevStop) {
+        return
       }
-      
-      let url = api.getUrl(apiConstraints)        
-      return wrapOptions.loader(url, options).then(subset => {
-        // apply remaining subset constraints
-        if (Object.keys(localSubsetConstraints).length > 0) {
-          // again, we DON'T wrap the locally subsetted coverage again, see above
-          return subset.subsetByValue(localSubsetConstraints, options)
-        } else {
-          return wrap(subset, wrapOptions)
-        }
-      })
-    })
+      merged[axis] = constraint
+    }
+  }
+  return merged
+}
+
+function getEmptySubsetError (axis, constraint) {
+  return new ConstraintError('The subset constraint of axis ' + axis + ' matches none of the axis steps of the subsetted coverage',
+    {operation: 'subset', axis, constraint})
+}
+
+/**
+ * Converts value-based subsetting constraints to index-based constraints
+ * by searching the axis values of the given domain.
+ * Returns an array [indexConstraints, remainingConstraints] where the latter
+ * contains all value constraints that could not be converted, e.g. if there is no
+ * exactly matching axis value or if a longitude range crosses the wrapping point of the axis.
+ */
+function valueToIndexConstraints (domain, constraints) {
+  let indexConstraints = {}
+  let remainingConstraints = {}
+  for (let axis of Object.keys(constraints)) {
+    let constraint = constraints[axis]
+    let idx
+    if (typeof constraint !== 'object') {
+      idx = getExactIndex(domain, axis, constraint)
+    } else if ('target' in constraint) {
+      idx = getClosestIndex(domain, axis, constraint.target)
+    } else {
+      let [vals, bounds, start, stop] = prepareForAxisArraySearch(domain, axis, constraint.start, constraint.stop)
+      if (start <= stop) {
+        idx = getIntersectingIndexRange(vals, bounds, start, stop)
+      }
+    }
+    if (idx === undefined) {
+      remainingConstraints[axis] = constraint
+    } else {
+      indexConstraints[axis] = idx
+    }
   }
+  return [indexConstraints, remainingConstraints]
+}
+
+function isRangeConstraint (constraint) {
+  return typeof constraint === 'object' && !('target' in constraint)
 }
 
 /**
@@ -463,31 +2043,56 @@ function getAxisConcepts (domain) {
  *  This is mainly for the bounding box case which needs both x and y.
  *  If a dependency is missing, then the constraint is moved to the
  *  locally applied ones.
+ *
+ *  @param {object} [reasons] Axis name -> {server, reason} of a plan, updated for moved constraints.
  */
-function toLocalConstraintsIfDependencyMissing (apiConstraints, localConstraints, capabilities, axisConcepts) {
+function toLocalConstraintsIfDependencyMissing (apiConstraints, localConstraints, capabilities, axisConcepts, reasons) {
   for (let concept of Object.keys(apiConstraints)) {
     let depends = capabilities[concept].dependency
-    if (depends && depends.some(concept_ => !apiConstraints[concept_])) {
+    let missing = depends ? depends.filter(concept_ => !apiConstraints[concept_]) : []
+    if (missing.length > 0) {
       let axis = Object.keys(axisConcepts).filter(axis => axisConcepts[axis] === concept)[0]
       localConstraints[axis] = apiConstraints[concept]
       delete apiConstraints[concept]
+      if (reasons) {
+        reasons[axis] = {server: false, reason: 'API requires a constraint on ' + missing.join(' and ') + ' as well'}
+      }
     }
   }
 }
 
-function getAxisExtent (vals, bounds) {
+/**
+ * Returns the hint given in the wrap options for the given axis,
+ * either 'point', 'cell', or undefined.
+ */
+function getAxisHint (wrapOptions, axis) {
+  if (wrapOptions.domainHints) {
+    return wrapOptions.domainHints[axis]
+  }
+}
+
+/**
+ * Returns the extent [min, max] of the given axis.
+ *
+ * @param {string} [hint] 'point' or 'cell', only used if no explicit bounds are given
+ */
+function getAxisExtent (vals, bounds, hint) {
   let min, max
   if (bounds) {
-    [min, max] = [bounds.get(0)[0], bounds.get(vals.length-1)[1]]
+    // bounds may be given in descending order
+    let first = bounds.get(0)
+    let last = bounds.get(vals.length - 1)
+    min = Math.min(first[0], first[1], last[0], last[1])
+    max = Math.max(first[0], first[1], last[0], last[1])
   } else {
     [min, max] = [vals[0], vals[vals.length-1]]
   }
   if (min > max) {
     [min, max] = [max, min]
   }
-  // if no explicit bounds are given then we assume a regular axis and derive bounds
-  // TODO this is not desirable in all cases (time steps etc.), should be recorded in the domain data (point vs cell)
-  if (!bounds && vals.length > 1) {
+  // if no explicit bounds are given and the axis is not known to contain points,
+  // then we assume a regular axis and derive bounds
+  if (!bounds && hint !== 'point' && vals.length > 1) {
     // calculate cell size and extend by half a cell size on each end
     let halfSize = Math.abs(vals[0] - vals[1]) / 2;
     [min, max] = [min - halfSize, max + halfSize]
@@ -506,6 +2111,94 @@ function getClosestIndexArr (vals, val) {
   return idx
 }
 
+/**
+ * Returns the index of the axis value that is equal to the given value,
+ * or undefined if there is none.
+ */
+function getExactIndex (domain, axis, val) {
+  let [axisVals, , searchVal] = prepareForAxisArraySearch(domain, axis, val)
+  let idx = getClosestIndexArr(axisVals, searchVal)
+  if (axisVals[idx] === searchVal) {
+    return idx
+  }
+}
+
+/**
+ * Returns the index range {start, stop} of all axis steps intersecting [start,stop],
+ * or undefined if there are none.
+ * If bounds are given, then a step intersects if its bounds intersect,
+ * otherwise if its value is within [start,stop].
+ */
+function getIntersectingIndexRange (vals, bounds, start, stop) {
+  if (!bounds) {
+    return getIndexRangeArr(vals, start, stop)
+  }
+  let first, last
+  for (let i = 0; i < vals.length; i++) {
+    let [lo, hi] = bounds.get(i)
+    if (Math.max(lo, hi) >= start && Math.min(lo, hi) <= stop) {
+      if (first === undefined) {
+        first = i
+      }
+      last = i
+    }
+  }
+  if (first !== undefined) {
+    return {start: first, stop: last}
+  }
+}
+
+/**
+ * Returns a value within the bounds of the given axis step which does not
+ * intersect the bounds of neighboring axis steps.
+ * This is the axis value itself, unless the axis value is identical to a bound start or end
+ * which is shared with a neighboring step, in which case the middle of the bounds is returned.
+ * Without explicit bounds, the axis value is returned.
+ */
+function getSafeCellValue (domain, axis, idx) {
+  let val = domain.axes.get(axis).values[idx]
+  let [vals, bounds] = prepareForAxisArraySearch(domain, axis)
+  if (!bounds) {
+    return val
+  }
+  let intersects = i => {
+    let [lo, hi] = bounds.get(i)
+    return Math.min(lo, hi) <= vals[idx] && vals[idx] <= Math.max(lo, hi)
+  }
+  let touchesNeighbor = (idx > 0 && intersects(idx - 1)) || (idx < vals.length - 1 && intersects(idx + 1))
+  if (!touchesNeighbor) {
+    return val
+  }
+  let [lo, hi] = bounds.get(idx)
+  let middle = (lo + hi) / 2
+  if (isISODateAxis(domain, axis)) {
+    return new Date(middle).toISOString()
+  }
+  return middle
+}
+
+/**
+ * Returns the index range {start, stop} of all values within [start,stop],
+ * or undefined if there are none.
+ * The array must be sorted (strictly monotone), either ascending or descending.
+ */
+function getIndexRangeArr (vals, start, stop) {
+  let [lo1, hi1] = arrays.indicesOfNearest(vals, start)
+  let [lo2, hi2] = arrays.indicesOfNearest(vals, stop)
+  let first, last
+  if (vals.length === 1 || vals[0] < vals[1]) {
+    first = vals[lo1] >= start ? lo1 : hi1
+    last = vals[hi2] <= stop ? hi2 : lo2
+  } else {
+    first = vals[lo2] <= stop ? lo2 : hi2
+    last = lo1
+  }
+  let isInside = idx => start <= vals[idx] && vals[idx] <= stop
+  if (isInside(first) && isInside(last)) {
+    return {start: first, stop: last}
+  }
+}
+
 function prepareForAxisArraySearch (domain, axis, ...searchVal) {
   let axisVals = domain.axes.get(axis).values
   let axisBounds = domain.axes.get(axis).bounds
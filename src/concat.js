@@ -0,0 +1,147 @@
+import {shallowcopy} from './util.js'
+
+/**
+ * Concatenates two coverages along the given axis.
+ *
+ * Both coverages must have the same parameters and must be identical
+ * in all other axes. The axis values and bounds of the second coverage
+ * can be shifted by a constant, e.g. by 360 degrees when stitching together
+ * the two halves of a longitude range crossing the antimeridian.
+ * If the first value of the (shifted) second coverage equals the last value of the
+ * first coverage, then it is treated as duplicate and skipped.
+ *
+ * The returned coverage supports index-based subsetting only,
+ * value-based subsetting has to be added by the caller via the decorate function.
+ *
+ * @param {object} covA The first coverage.
+ * @param {object} covB The second coverage.
+ * @param {string} axis The key of the axis to concatenate along.
+ * @param {number} [shift=0] The number to add to the axis values and bounds of the second coverage.
+ * @param {function} [decorate] A function which is called with each concatenated coverage,
+ *   including the ones resulting from subsetting, and returns the final coverage object.
+ * @returns {Promise<object>} A Promise succeeding with the concatenated coverage.
+ */
+export function concatCoverages (covA, covB, axis, shift = 0, decorate = cov => cov) {
+  return Promise.all([covA.loadDomain(), covB.loadDomain()]).then(([domainA, domainB]) => {
+    let axisA = domainA.axes.get(axis)
+    let axisB = domainB.axes.get(axis)
+    let lenA = axisA.values.length
+    let valsB = Array.from(axisB.values, v => v + shift)
+    let skip = valsB[0] === axisA.values[lenA - 1] ? 1 : 0
+    // index within covB for a given index >= lenA
+    let toIndexB = i => i - lenA + skip
+
+    let newAxis = shallowcopy(axisA)
+    newAxis.values = Array.from(axisA.values).concat(valsB.slice(skip))
+    if (axisA.bounds && axisB.bounds) {
+      newAxis.bounds = {
+        get: i => i < lenA ? axisA.bounds.get(i) : axisB.bounds.get(toIndexB(i)).map(b => b + shift)
+      }
+    } else {
+      delete newAxis.bounds
+    }
+    let len = newAxis.values.length
+
+    let domain = shallowcopy(domainA)
+    domain.axes = new Map(domainA.axes)
+    domain.axes.set(axis, newAxis)
+
+    let cov = shallowcopy(covA)
+    // the concatenated coverage is a new coverage without identity
+    delete cov.id
+    delete cov.ld
+    cov.loadDomain = () => Promise.resolve(domain)
+    cov.loadRange = key => {
+      return Promise.all([covA.loadRange(key), covB.loadRange(key)]).then(([rangeA, rangeB]) => {
+        let shape = new Map(rangeA.shape)
+        shape.set(axis, len)
+        return {
+          dataType: rangeA.dataType,
+          shape,
+          get: obj => {
+            let i = obj[axis] || 0
+            if (i < lenA) {
+              return rangeA.get(obj)
+            }
+            let objB = shallowcopy(obj)
+            objB[axis] = toIndexB(i)
+            return rangeB.get(objB)
+          }
+        }
+      })
+    }
+    cov.loadRanges = (keys = [...cov.parameters.keys()]) => {
+      return Promise.all(keys.map(cov.loadRange)).then(ranges => new Map(keys.map((key, i) => [key, ranges[i]])))
+    }
+    cov.subsetByIndex = (constraints, options) => {
+      let constraint = constraints[axis]
+      let constraintsA = shallowcopy(constraints)
+      let constraintsB = shallowcopy(constraints)
+      if (typeof constraint === 'number') {
+        if (constraint < lenA) {
+          return covA.subsetByIndex(constraints, options)
+        } else {
+          constraintsB[axis] = toIndexB(constraint)
+          return covB.subsetByIndex(constraintsB, options)
+            .then(subsetB => shiftCoverage(subsetB, axis, shift, decorate))
+        }
+      }
+      let {start = 0, stop = len - 1, step = 1} = constraint || {}
+      // the last index in A and the first index in B which are reached with the given step
+      let stopA = start + Math.floor((Math.min(stop, lenA - 1) - start) / step) * step
+      let startB = start < lenA ? start + Math.ceil((lenA - start) / step) * step : start
+      constraintsA[axis] = {start, stop: stopA, step}
+      constraintsB[axis] = {start: toIndexB(startB), stop: toIndexB(stop), step}
+      if (start >= lenA) {
+        return covB.subsetByIndex(constraintsB, options)
+          .then(subsetB => shiftCoverage(subsetB, axis, shift, decorate))
+      } else if (startB > stop) {
+        return covA.subsetByIndex(constraintsA, options)
+      }
+      return Promise.all([covA.subsetByIndex(constraintsA, options), covB.subsetByIndex(constraintsB, options)])
+        .then(([subsetA, subsetB]) => concatCoverages(subsetA, subsetB, axis, shift, decorate))
+    }
+    return decorate(cov)
+  })
+}
+
+/**
+ * Returns a copy of a coverage whose axis values and bounds are shifted by a constant,
+ * like the part of a subset of concatenated coverages which lies in the second coverage only.
+ * Index-based subsets of the copy are shifted as well.
+ *
+ * @param {object} cov The coverage.
+ * @param {string} axis The key of the axis to shift.
+ * @param {number} shift The number to add to the axis values and bounds.
+ * @param {function} decorate See concatCoverages().
+ * @returns {Promise<object>} A Promise succeeding with the shifted coverage.
+ */
+function shiftCoverage (cov, axis, shift, decorate) {
+  if (shift === 0) {
+    return Promise.resolve(cov)
+  }
+  return cov.loadDomain().then(domain => {
+    let axisObj = domain.axes.get(axis)
+    let newAxis = shallowcopy(axisObj)
+    newAxis.values = Array.from(axisObj.values, v => v + shift)
+    if (axisObj.bounds) {
+      newAxis.bounds = {
+        get: i => axisObj.bounds.get(i).map(b => b + shift)
+      }
+    }
+
+    let newDomain = shallowcopy(domain)
+    newDomain.axes = new Map(domain.axes)
+    newDomain.axes.set(axis, newAxis)
+
+    let newCov = shallowcopy(cov)
+    // like a concatenated coverage, the shifted coverage has no identity
+    delete newCov.id
+    delete newCov.ld
+    newCov.loadDomain = () => Promise.resolve(newDomain)
+    newCov.subsetByIndex = (constraints, options) => {
+      return cov.subsetByIndex(constraints, options).then(subset => shiftCoverage(subset, axis, shift, decorate))
+    }
+    return decorate(newCov)
+  })
+}
@@ -0,0 +1,168 @@
+/*
+ * Error types of this library. All of them inherit from CoverageRESTError and
+ * carry structured fields describing the failure, in addition to the message.
+ *
+ * Note that these are not ES6 classes as Babel does not support extending built-in classes like Error.
+ */
+
+/**
+ * Base type of all errors of this library.
+ *
+ * @param {string} message The error message.
+ * @param {object} [fields] Additional properties of the error.
+ */
+export function CoverageRESTError (message, fields) {
+  init(this, 'CoverageRESTError', message, fields)
+}
+inherit(CoverageRESTError, Error)
+
+/**
+ * Thrown if an operation requires an API capability which is not available,
+ * that is, the URL template has no mapping for the required URL properties.
+ *
+ * @param {string} message The error message.
+ * @param {object} fields
+ * @param {string} fields.operation 'filter', 'subset', 'paging', or 'format'.
+ * @param {string} fields.concept The API concept, e.g. 'time', 'x', 'index', 'parameters', 'limit', or 'format'.
+ * @param {*} [fields.constraint] The constraint that could not be applied.
+ * @param {Array<string>} fields.missingUrlProperties The URIs of the URL properties missing in the URL template.
+ */
+export function CapabilityError (message, fields) {
+  init(this, 'CapabilityError', message, fields)
+}
+inherit(CapabilityError, CoverageRESTError)
+
+/**
+ * Thrown if a constraint is invalid, e.g. if it refers to an unknown parameter
+ * or is outside of the axis extent.
+ *
+ * @param {string} message The error message.
+ * @param {object} fields
+ * @param {string} [fields.operation] 'filter', 'subset', or 'paging'.
+ * @param {string} [fields.axis] The axis name.
+ * @param {string} [fields.concept] The API concept, e.g. 'time'.
+ * @param {string} [fields.parameter] The parameter key.
+ * @param {*} [fields.constraint] The invalid constraint.
+ */
+export function ConstraintError (message, fields) {
+  init(this, 'ConstraintError', message, fields)
+}
+inherit(ConstraintError, CoverageRESTError)
+
+/**
+ * Thrown if no URL can be created from the URL template of the API.
+ *
+ * @param {string} message The error message.
+ * @param {object} [fields]
+ * @param {string} [fields.template] The URL template.
+ * @param {Error} [fields.cause] The original error.
+ */
+export function TemplateError (message, fields) {
+  init(this, 'TemplateError', message, fields)
+}
+inherit(TemplateError, CoverageRESTError)
+
+/**
+ * Thrown if loading a URL with the loader given in the wrap options failed.
+ *
+ * @param {string} message The error message.
+ * @param {object} fields
+ * @param {string} fields.url The URL being loaded.
+ * @param {Error} fields.cause The error the loader failed with.
+ */
+export function LoaderError (message, fields) {
+  init(this, 'LoaderError', message, fields)
+}
+inherit(LoaderError, CoverageRESTError)
+
+/**
+ * Thrown if a URL is not loaded because the circuit breaker of the policy given in the
+ * wrap options is open, that is, requests via the URL template of the API failed repeatedly.
+ *
+ * @param {string} message The error message.
+ * @param {object} fields
+ * @param {string} fields.url The URL which was not loaded.
+ * @param {string} fields.template The URL template of the circuit breaker.
+ */
+export function CircuitOpenError (message, fields) {
+  init(this, 'CircuitOpenError', message, fields)
+}
+inherit(CircuitOpenError, LoaderError)
+
+/**
+ * Thrown if an operation would have to apply some constraints locally on data
+ * which is not loaded yet, and this is not allowed by the localFallback
+ * or localFallbackBudget options of wrap().
+ *
+ * @param {string} message The error message.
+ * @param {object} plan The plan of the operation, as returned by the explain functions.
+ */
+export function LocalFallbackError (message, plan) {
+  init(this, 'LocalFallbackError', message, {plan})
+}
+inherit(LocalFallbackError, CoverageRESTError)
+
+/**
+ * Thrown if a JSON-LD document uses features which are not supported
+ * by the built-in parser for API control data, see ldprofile.js.
+ *
+ * @param {string} message The error message.
+ */
+export function UnsupportedDocumentError (message) {
+  init(this, 'UnsupportedDocumentError', message)
+}
+inherit(UnsupportedDocumentError, CoverageRESTError)
+
+/**
+ * Thrown if a JSON-LD document references a remote context which is neither in the
+ * context registry nor can be loaded with the document loader given in the wrap options.
+ * Remote contexts are never fetched otherwise.
+ *
+ * @param {string} message The error message.
+ * @param {object} fields
+ * @param {string} fields.url The URL of the context.
+ * @param {Error} [fields.cause] The error the document loader failed with.
+ */
+export function UnknownContextError (message, fields) {
+  init(this, 'UnknownContextError', message, fields)
+}
+inherit(UnknownContextError, CoverageRESTError)
+
+/**
+ * Thrown if an operation was aborted via the signal given in its options,
+ * or because it was superseded by a later call, see latestWins().
+ *
+ * @param {string} message The error message.
+ * @param {object} [fields]
+ * @param {*} [fields.reason] The abort reason of the signal, if it is not an AbortError itself.
+ */
+export function AbortError (message, fields) {
+  init(this, 'AbortError', message, fields)
+}
+inherit(AbortError, CoverageRESTError)
+
+/**
+ * Thrown if an operation did not finish within the timeout given in its options.
+ *
+ * @param {string} message The error message.
+ * @param {object} fields
+ * @param {number} fields.timeout The timeout in milliseconds.
+ */
+export function TimeoutError (message, fields) {
+  init(this, 'TimeoutError', message, fields)
+}
+inherit(TimeoutError, AbortError)
+
+function init (error, name, message, fields = {}) {
+  error.name = name
+  error.message = message
+  error.stack = new Error(message).stack
+  for (let key of Object.keys(fields)) {
+    error[key] = fields[key]
+  }
+}
+
+function inherit (ErrorType, Parent) {
+  ErrorType.prototype = Object.create(Parent.prototype)
+  ErrorType.prototype.constructor = ErrorType
+}
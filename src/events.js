@@ -0,0 +1,85 @@
+/**
+ * A minimal event emitter for observing wrapped coverages and collections,
+ * see the events option of wrap().
+ *
+ * @example
+ * var events = new CoverageREST.EventEmitter()
+ * events.on('retry', function (event) {
+ *   console.log('Retrying ' + event.url + ' in ' + event.delay + ' ms')
+ * })
+ * CoverageREST.wrap(cov, {loader: CovJSON.read, events: events})
+ */
+export class EventEmitter {
+  constructor () {
+    this._listeners = new Map()
+  }
+
+  /**
+   * Registers a listener which is called with the event object for each event of the given type.
+   *
+   * @param {string} type The event type.
+   * @param {function} listener The listener.
+   * @returns {EventEmitter} This emitter.
+   */
+  on (type, listener) {
+    if (!this._listeners.has(type)) {
+      this._listeners.set(type, [])
+    }
+    this._listeners.get(type).push(listener)
+    return this
+  }
+
+  /**
+   * Removes a listener registered with on().
+   *
+   * @returns {EventEmitter} This emitter.
+   */
+  off (type, listener) {
+    if (this._listeners.has(type)) {
+      this._listeners.set(type, this._listeners.get(type).filter(l => l !== listener))
+    }
+    return this
+  }
+
+  /**
+   * Calls the listeners of the given event type. A failing listener does not affect
+   * the other listeners or the operation emitting the event, see rethrowLater().
+   *
+   * @param {string} type The event type.
+   * @param {object} event The event object, which gets a type property.
+   */
+  emit (type, event) {
+    event.type = type
+    for (let listener of this._listeners.get(type) || []) {
+      try {
+        listener(event)
+      } catch (e) {
+        rethrowLater(e)
+      }
+    }
+  }
+}
+
+/**
+ * Emits an event with the emitter given in the wrap options, if any.
+ * Errors of the emitter do not affect the operation emitting the event, see rethrowLater().
+ */
+export function emit (wrapOptions, type, event) {
+  if (wrapOptions.events) {
+    try {
+      wrapOptions.events.emit(type, event)
+    } catch (e) {
+      rethrowLater(e)
+    }
+  }
+}
+
+/**
+ * Throws an error asynchronously, such that it is reported as uncaught error by the runtime
+ * instead of failing the code which called the event listener.
+ */
+function rethrowLater (error) {
+  setTimeout(() => {
+    throw error
+  }, 0)
+}
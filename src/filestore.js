@@ -0,0 +1,105 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+
+/**
+ * A persistent store for Node.js which keeps each entry as a JSON file in a directory.
+ * When the maximum number of entries is reached, the oldest files are removed.
+ *
+ * This module is not part of the browser bundle and has to be imported separately.
+ *
+ * @example
+ * import {Cache} from 'coverage-rest-client'
+ * import {FileStore} from 'coverage-rest-client/lib/filestore.js'
+ *
+ * let cache = new Cache({
+ *   store: new FileStore({directory: '/tmp/covcache'}),
+ *   serialize: cov => CovJSON.write(cov),
+ *   deserialize: CovJSON.read
+ * })
+ */
+export class FileStore {
+  /**
+   * @param {object} options
+   * @param {string} options.directory The directory to store the files in.
+   *   It is created, including missing parent directories, if it does not exist.
+   * @param {number} [options.maxEntries=1000] The maximum number of entries to keep.
+   */
+  constructor (options) {
+    if (!options || !options.directory) {
+      throw new Error('options.directory must be given')
+    }
+    this.persistent = true
+    this._directory = options.directory
+    this._maxEntries = options.maxEntries || 1000
+    this._ready = call(fs.mkdir, this._directory, {recursive: true})
+  }
+
+  get (key) {
+    return this._ready
+      .then(() => call(fs.readFile, this._getPath(key), 'utf8'))
+      .then(content => {
+        let record = JSON.parse(content)
+        return {value: record.value, created: record.created}
+      }, e => {
+        if (e.code !== 'ENOENT') throw e
+      })
+  }
+
+  set (key, entry) {
+    let content = JSON.stringify({key, value: entry.value, created: entry.created})
+    return this._ready
+      .then(() => call(fs.writeFile, this._getPath(key), content))
+      .then(() => this._evict())
+  }
+
+  delete (key) {
+    return this._ready.then(() => remove(this._getPath(key)))
+  }
+
+  clear () {
+    return this._getFiles().then(files => Promise.all(files.map(remove)))
+  }
+
+  _getPath (key) {
+    let hash = crypto.createHash('sha1').update(key).digest('hex')
+    return path.join(this._directory, hash + '.json')
+  }
+
+  _getFiles () {
+    return this._ready
+      .then(() => call(fs.readdir, this._directory))
+      .then(names => names.filter(name => name.endsWith('.json')).map(name => path.join(this._directory, name)))
+  }
+
+  _evict () {
+    return this._getFiles().then(files => {
+      if (files.length <= this._maxEntries) return
+      return Promise.all(files.map(file => call(fs.stat, file))).then(stats => {
+        let oldest = files
+          .map((file, i) => ({file, mtime: stats[i].mtime.getTime()}))
+          .sort((a, b) => a.mtime - b.mtime)
+          .slice(0, files.length - this._maxEntries)
+        return Promise.all(oldest.map(({file}) => remove(file)))
+      })
+    })
+  }
+}
+
+/**
+ * Removes a file, ignoring files which don't exist (anymore).
+ */
+function remove (file) {
+  return call(fs.unlink, file).catch(e => {
+    if (e.code !== 'ENOENT') throw e
+  })
+}
+
+/**
+ * Calls a Node.js callback-style function and returns a Promise.
+ */
+function call (fn, ...args) {
+  return new Promise((resolve, reject) => {
+    fn(...args, (err, result) => err ? reject(err) : resolve(result))
+  })
+}
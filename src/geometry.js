@@ -0,0 +1,146 @@
+import {ConstraintError} from './errors.js'
+
+/** Mean earth radius in meters, as used by the haversine formula. */
+const EARTH_RADIUS = 6371008.8
+
+/**
+ * Checks a geometry filter constraint and throws a ConstraintError if it is invalid.
+ *
+ * A geometry is one of:
+ * {polygon: [[lon, lat], ...]} // a polygon given by its exterior ring, closing the ring is optional
+ * {lon, lat, radius} // a circle given by its center and radius in meters
+ */
+export function checkGeometry (geometry) {
+  let error = msg => new ConstraintError(msg, {operation: 'filter', concept: 'geometry', constraint: geometry})
+  if (typeof geometry !== 'object' || geometry === null) {
+    throw error('A geometry must be an object')
+  }
+  if ('polygon' in geometry) {
+    let ring = geometry.polygon
+    if (!Array.isArray(ring) || !ring.every(isPosition)) {
+      throw error('A polygon must be an array of [lon, lat] positions')
+    }
+    if (openRing(ring).length < 3) {
+      throw error('A polygon must have at least three distinct positions')
+    }
+  } else if ('radius' in geometry) {
+    if (!isPosition([geometry.lon, geometry.lat])) {
+      throw error('A circle must have a numeric lon and lat')
+    }
+    if (typeof geometry.radius !== 'number' || !(geometry.radius >= 0)) {
+      throw error('The radius of a circle must be a non-negative number')
+    }
+  } else {
+    throw error('A geometry must be either {polygon} or {lon, lat, radius}')
+  }
+}
+
+/**
+ * Returns whether the given geometry is a circle, see checkGeometry().
+ */
+export function isCircle (geometry) {
+  return 'radius' in geometry
+}
+
+/**
+ * Returns whether a geometry intersects the given bounding box.
+ * Circles are tested with great-circle distances, polygon edges are treated as straight lines
+ * in longitude/latitude space.
+ *
+ * @param {object} geometry See checkGeometry().
+ * @param {Array<number>} bbox [west, south, east, north] in degrees, with west <= east.
+ */
+export function intersectsBbox (geometry, bbox) {
+  if (isCircle(geometry)) {
+    return circleIntersectsBbox(geometry, bbox)
+  } else {
+    return polygonIntersectsBbox(openRing(geometry.polygon), bbox)
+  }
+}
+
+function circleIntersectsBbox ({lon, lat, radius}, [west, south, east, north]) {
+  // the closest point of the bbox, which is exact in latitude direction
+  // and a good approximation in longitude direction for small boxes
+  let closestLon = Math.min(Math.max(lon, west), east)
+  let closestLat = Math.min(Math.max(lat, south), north)
+  return getDistance(lon, lat, closestLon, closestLat) <= radius
+}
+
+function polygonIntersectsBbox (ring, bbox) {
+  let [west, south, east, north] = bbox
+  let corners = [[west, south], [east, south], [east, north], [west, north]]
+  if (ring.some(pos => isInBbox(pos, bbox)) || corners.some(pos => isInPolygon(pos, ring))) {
+    return true
+  }
+  // neither contains a vertex of the other, so they can only intersect by crossing edges
+  for (let i = 0; i < ring.length; i++) {
+    let a = ring[i]
+    let b = ring[(i + 1) % ring.length]
+    for (let j = 0; j < corners.length; j++) {
+      if (segmentsIntersect(a, b, corners[j], corners[(j + 1) % corners.length])) {
+        return true
+      }
+    }
+  }
+  return false
+}
+
+function isInBbox ([x, y], [west, south, east, north]) {
+  return west <= x && x <= east && south <= y && y <= north
+}
+
+/**
+ * Even-odd rule point-in-polygon test.
+ */
+function isInPolygon ([x, y], ring) {
+  let inside = false
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    let [xi, yi] = ring[i]
+    let [xj, yj] = ring[j]
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+function segmentsIntersect (p1, p2, p3, p4) {
+  let d1 = cross(p3, p4, p1)
+  let d2 = cross(p3, p4, p2)
+  let d3 = cross(p1, p2, p3)
+  let d4 = cross(p1, p2, p4)
+  return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+         ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))
+}
+
+function cross ([ax, ay], [bx, by], [cx, cy]) {
+  return (bx - ax) * (cy - ay) - (by - ay) * (cx - ax)
+}
+
+/**
+ * Returns the great-circle distance in meters between two positions using the haversine formula.
+ */
+function getDistance (lon1, lat1, lon2, lat2) {
+  let rad = deg => deg * Math.PI / 180
+  let dLat = rad(lat2 - lat1)
+  let dLon = rad(lon2 - lon1)
+  let a = Math.pow(Math.sin(dLat / 2), 2) +
+          Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.pow(Math.sin(dLon / 2), 2)
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)))
+}
+
+/**
+ * Returns a copy of the ring without the closing position, if any.
+ */
+function openRing (ring) {
+  let last = ring[ring.length - 1]
+  if (ring.length > 1 && ring[0][0] === last[0] && ring[0][1] === last[1]) {
+    return ring.slice(0, -1)
+  }
+  return ring.slice()
+}
+
+function isPosition (pos) {
+  return Array.isArray(pos) && pos.length === 2 && pos.every(v => typeof v === 'number' && isFinite(v))
+}
+
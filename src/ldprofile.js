@@ -0,0 +1,516 @@
+/*
+ * A minimal JSON-LD processor for the fixed profile of API control data
+ * that this library understands (Hydra paging and covapi:api IRI templates).
+ *
+ * Instead of doing full JSON-LD framing and compaction, documents are expanded
+ * into a map of nodes with a restricted context processing algorithm, and the profile
+ * properties are read from that map. This handles expanded and compacted documents,
+ * including data derived from HTTP Link headers.
+ *
+ * Documents using JSON-LD features beyond that (e.g. reverse properties or scoped contexts)
+ * are rejected with an UnsupportedDocumentError, in which case a full JSON-LD processor
+ * can be used as fallback. Remote contexts have to be in the given context registry,
+ * otherwise an UnknownContextError is thrown.
+ */
+
+import {UnsupportedDocumentError, UnknownContextError} from './errors.js'
+
+const HYDRA_NS = 'http://www.w3.org/ns/hydra/core#'
+const COVAPI_NS = 'http://coverageapi.org/ns#'
+const IANA_REL_NS = 'http://www.iana.org/assignments/relation/'
+const DCT_FORMAT = 'http://purl.org/dc/terms/format'
+
+const HYDRA = {
+  view: HYDRA_NS + 'view',
+  totalItems: HYDRA_NS + 'totalItems',
+  PartialCollectionView: HYDRA_NS + 'PartialCollectionView',
+  first: HYDRA_NS + 'first',
+  last: HYDRA_NS + 'last',
+  next: HYDRA_NS + 'next',
+  previous: HYDRA_NS + 'previous',
+  IriTemplate: HYDRA_NS + 'IriTemplate',
+  template: HYDRA_NS + 'template',
+  mapping: HYDRA_NS + 'mapping',
+  variable: HYDRA_NS + 'variable',
+  property: HYDRA_NS + 'property',
+  required: HYDRA_NS + 'required'
+}
+
+const COVAPI_API = COVAPI_NS + 'api'
+const IANA_ALTERNATE = IANA_REL_NS + 'alternate'
+
+/** Paging relations as derived from HTTP Link headers, mapped to Hydra paging properties */
+const IANA_PAGING_RELS = {
+  first: IANA_REL_NS + 'first',
+  last: IANA_REL_NS + 'last',
+  next: IANA_REL_NS + 'next',
+  previous: IANA_REL_NS + 'prev'
+}
+
+// partial copy of http://www.hydra-cg.com/spec/latest/core/core.jsonld
+const HYDRA_CONTEXT = {
+  '@context': {
+    'hydra': HYDRA_NS,
+    'rdf': 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+    'rdfs': 'http://www.w3.org/2000/01/rdf-schema#',
+    'xsd': 'http://www.w3.org/2001/XMLSchema#',
+    'property': { '@id': 'hydra:property', '@type': '@vocab' },
+    'required': 'hydra:required',
+    'view': { '@id': 'hydra:view', '@type': '@id' },
+    'PartialCollectionView': 'hydra:PartialCollectionView',
+    'totalItems': 'hydra:totalItems',
+    'first': { '@id': 'hydra:first', '@type': '@id' },
+    'last': { '@id': 'hydra:last', '@type': '@id' },
+    'next': { '@id': 'hydra:next', '@type': '@id' },
+    'previous': { '@id': 'hydra:previous', '@type': '@id' },
+    'IriTemplate': 'hydra:IriTemplate',
+    'template': 'hydra:template',
+    'mapping': 'hydra:mapping',
+    'IriTemplateMapping': 'hydra:IriTemplateMapping',
+    'variable': 'hydra:variable'
+  }
+}
+
+/**
+ * Local copies of remote contexts which may be referenced by documents.
+ * Only the parts relevant for this profile are included.
+ * This is the default context registry, mapping context URLs to context documents.
+ */
+export const CONTEXTS = {
+  'https://rawgit.com/reading-escience-centre/coveragejson/master/contexts/coveragejson-base.jsonld': {
+    '@context': {
+      'id': '@id',
+      'type': '@type'
+    }
+  },
+  'http://www.w3.org/ns/hydra/core': HYDRA_CONTEXT,
+  'http://www.w3.org/ns/hydra/context.jsonld': HYDRA_CONTEXT
+}
+
+/**
+ * Extracts the API control data about the resource with the given id from a JSON-LD document.
+ *
+ * Data in the default graph and in named graphs is combined, e.g. some servers put
+ * API control data into a graph named by the coverage id. Where a single value is expected
+ * but several exist, values from the default graph take precedence.
+ *
+ * The result has the same structure as a JSON-LD document framed and compacted with
+ * the Hydra context (plus "id", "type", and "api" terms) would have, where all arrays
+ * are kept as arrays, e.g.:
+ *
+ * {
+ *   id: 'http://example.com/coverages',
+ *   totalItems: 100,
+ *   view: {id, type: 'PartialCollectionView', first, previous, next, last},
+ *   api: {id, type: 'IriTemplate', template, mapping: [{variable, property: {id}, required}]},
+ *   alternate: [{id, format}]
+ * }
+ *
+ * Alternates are Link alternate relations, where the format is the media type given
+ * as dct:format of the link target, if any.
+ *
+ * @param {object|Array} ld The JSON-LD document.
+ * @param {string} id The id of the resource (coverage or collection).
+ * @param {object} [contexts=CONTEXTS] The context registry, see expand().
+ * @returns {object} The extracted data.
+ * @throws {UnsupportedDocumentError} If the document cannot be processed.
+ * @throws {UnknownContextError} If the document references a context which is not in the registry.
+ */
+export function extract (ld, id, contexts = CONTEXTS) {
+  let nodes = mergeGraphs(expand(ld, contexts))
+  let node = nodes[id]
+  let result = {id}
+  if (!node) {
+    return result
+  }
+
+  let totalItems = getLiteral(node, HYDRA.totalItems)
+  if (totalItems !== undefined) {
+    result.totalItems = Number(totalItems)
+  }
+
+  let viewId = getReference(node, HYDRA.view)
+  let viewNode = viewId ? nodes[viewId] || {'@id': viewId, '@type': []} : undefined
+  let view = viewNode ? {id: viewNode['@id']} : {}
+  if (viewNode && viewNode['@type'].indexOf(HYDRA.PartialCollectionView) !== -1) {
+    view.type = 'PartialCollectionView'
+  }
+  for (let rel of Object.keys(IANA_PAGING_RELS)) {
+    // Hydra properties take precedence over relations from Link headers
+    let target = (viewNode && (getReference(viewNode, HYDRA[rel]) || getReference(viewNode, IANA_PAGING_RELS[rel]))) ||
+                 getReference(node, IANA_PAGING_RELS[rel])
+    if (target) {
+      view[rel] = target
+      if (!viewNode) {
+        // paging via Link headers only
+        view.type = 'PartialCollectionView'
+      }
+    }
+  }
+  if (viewNode || view.type) {
+    result.view = view
+  }
+
+  let apiId = getReference(node, COVAPI_API)
+  if (apiId && nodes[apiId]) {
+    let apiNode = nodes[apiId]
+    let api = {
+      id: apiId,
+      template: getLiteral(apiNode, HYDRA.template),
+      mapping: getReferences(apiNode, HYDRA.mapping).map(mappingId => {
+        let mappingNode = nodes[mappingId] || {'@type': []}
+        return {
+          variable: getLiteral(mappingNode, HYDRA.variable),
+          property: {id: getReference(mappingNode, HYDRA.property)},
+          required: getLiteral(mappingNode, HYDRA.required)
+        }
+      })
+    }
+    if (apiNode['@type'].indexOf(HYDRA.IriTemplate) !== -1) {
+      api.type = 'IriTemplate'
+    }
+    result.api = api
+  }
+
+  let alternates = getReferences(node, IANA_ALTERNATE).map(altId => ({
+    id: altId,
+    format: nodes[altId] ? getLiteral(nodes[altId], DCT_FORMAT) : undefined
+  }))
+  if (alternates.length > 0) {
+    result.alternate = alternates
+  }
+
+  return result
+}
+
+/**
+ * Merges the node maps of all graphs into a single node map,
+ * starting with the default graph.
+ */
+function mergeGraphs (graphs) {
+  let merged = {}
+  let names = ['@default'].concat(Object.keys(graphs).filter(name => name !== '@default'))
+  for (let name of names) {
+    let nodes = graphs[name]
+    for (let id of Object.keys(nodes)) {
+      let node = nodes[id]
+      if (!merged[id]) {
+        merged[id] = {'@id': id, '@type': []}
+      }
+      let target = merged[id]
+      for (let key of Object.keys(node)) {
+        if (key === '@id') continue
+        target[key] = (target[key] || []).concat(node[key])
+      }
+    }
+  }
+  return merged
+}
+
+/**
+ * Returns the ids of referenced nodes for a property.
+ * String literals are accepted as well in case a context does not declare the property as "@id" type.
+ */
+function getReferences (node, property) {
+  return (node[property] || []).map(val => '@id' in val ? val['@id'] : val['@value'])
+    .filter(val => typeof val === 'string')
+}
+
+function getReference (node, property) {
+  return getReferences(node, property)[0]
+}
+
+function getLiteral (node, property) {
+  let vals = (node[property] || []).filter(val => '@value' in val)
+  if (vals.length > 0) {
+    return vals[0]['@value']
+  }
+}
+
+/**
+ * Expands a JSON-LD document into node maps, one per graph.
+ * The default graph is stored under '@default', named graphs under their name.
+ * A node is an object {'@id', '@type': [types], <property IRI>: [values]}
+ * where each value is either {'@id': id} or {'@value': literal}.
+ * Blank node identifiers are relabeled with '_:b0', '_:b1', etc.
+ *
+ * @param {object|Array} ld The JSON-LD document.
+ * @param {object} [contexts=CONTEXTS] The context registry, mapping URLs of remote contexts
+ *   to their documents ({'@context': ...}).
+ * @returns {object} Graph name -> (node id -> node)
+ */
+export function expand (ld, contexts = CONTEXTS) {
+  let state = {
+    graphs: {'@default': {}},
+    blankNodeCounter: 0,
+    blankNodeIds: new Map(),
+    contexts
+  }
+  expandElement(ld, {terms: {}}, state, '@default')
+  return state.graphs
+}
+
+/**
+ * Expands a top-level element or an element within a graph.
+ */
+function expandElement (element, ctx, state, graph) {
+  if (Array.isArray(element)) {
+    element.forEach(el => expandElement(el, ctx, state, graph))
+  } else if (element !== null && typeof element === 'object') {
+    expandNode(element, ctx, state, graph)
+  }
+}
+
+/**
+ * Expands a node object, adds it to the node map of the given graph,
+ * and returns its id.
+ */
+function expandNode (obj, ctx, state, graph) {
+  if ('@context' in obj) {
+    ctx = processContext(ctx, obj['@context'], state.contexts)
+  }
+
+  // resolve keyword aliases first
+  let entries = []
+  for (let key of Object.keys(obj)) {
+    if (key === '@context') continue
+    let termDef = ctx.terms[key]
+    let iri = expandIri(ctx, key, true)
+    if (iri === undefined) {
+      // undefined terms are ignored, as in JSON-LD
+      continue
+    }
+    entries.push({iri, termDef, value: obj[key]})
+  }
+
+  let idEntry = entries.find(e => e.iri === '@id')
+  let id = idEntry ? expandId(ctx, idEntry.value, false, state) : issueBlankNodeId(state)
+
+  let graphEntry = entries.find(e => e.iri === '@graph')
+  if (graphEntry) {
+    let others = entries.filter(e => e.iri !== '@id' && e.iri !== '@graph')
+    if (!idEntry && others.length === 0) {
+      // graph container without identity, the contents belong to the current graph
+      expandElement(graphEntry.value, ctx, state, graph)
+      return
+    }
+    if (!state.graphs[id]) {
+      state.graphs[id] = {}
+    }
+    expandElement(graphEntry.value, ctx, state, id)
+  }
+
+  let nodes = state.graphs[graph]
+  let node = nodes[id]
+  if (!node) {
+    node = {'@id': id, '@type': []}
+    nodes[id] = node
+  }
+
+  for (let {iri, termDef, value} of entries) {
+    if (iri === '@id' || iri === '@graph' || iri === '@index') {
+      continue
+    } else if (iri === '@type') {
+      for (let type of [].concat(value)) {
+        node['@type'].push(expandIri(ctx, type, true))
+      }
+    } else if (iri[0] === '@') {
+      throw new UnsupportedDocumentError('Unsupported JSON-LD keyword: ' + iri)
+    } else {
+      if (!node[iri]) {
+        node[iri] = []
+      }
+      expandValues(value, termDef, ctx, state, graph, node[iri])
+    }
+  }
+  return id
+}
+
+/**
+ * Expands a property value and appends the resulting values to the given array.
+ */
+function expandValues (value, termDef, ctx, state, graph, result) {
+  let type = termDef && typeof termDef === 'object' ? termDef['@type'] : undefined
+  if (value === null) {
+    return
+  } else if (Array.isArray(value)) {
+    value.forEach(val => expandValues(val, termDef, ctx, state, graph, result))
+  } else if (typeof value === 'object') {
+    let keys = Object.keys(value).map(key => expandIri(ctx, key, true))
+    if (keys.indexOf('@value') !== -1) {
+      result.push({'@value': value[Object.keys(value)[keys.indexOf('@value')]]})
+    } else if (keys.indexOf('@list') !== -1 || keys.indexOf('@set') !== -1) {
+      let key = Object.keys(value)[keys.indexOf('@list') !== -1 ? keys.indexOf('@list') : keys.indexOf('@set')]
+      expandValues(value[key], termDef, ctx, state, graph, result)
+    } else {
+      let id = expandNode(value, ctx, state, graph)
+      if (id !== undefined) {
+        result.push({'@id': id})
+      }
+    }
+  } else if (typeof value === 'string' && type === '@id') {
+    result.push({'@id': expandId(ctx, value, false, state)})
+  } else if (typeof value === 'string' && type === '@vocab') {
+    result.push({'@id': expandId(ctx, value, true, state)})
+  } else {
+    result.push({'@value': value})
+  }
+}
+
+/**
+ * Expands a node reference, where blank node identifiers of the document are relabeled.
+ */
+function expandId (ctx, value, vocab, state) {
+  let id = expandIri(ctx, value, vocab)
+  return typeof id === 'string' && id.indexOf('_:') === 0 ? issueBlankNodeId(state, id) : id
+}
+
+/**
+ * Returns a new blank node identifier, or the one issued before for the given
+ * blank node identifier of the document.
+ * All blank nodes are relabeled, as in JSON-LD node map generation, such that the identifiers of
+ * blank nodes without an @id never collide with identifiers used in the document.
+ */
+function issueBlankNodeId (state, id) {
+  if (id !== undefined && state.blankNodeIds.has(id)) {
+    return state.blankNodeIds.get(id)
+  }
+  let issued = '_:b' + state.blankNodeCounter++
+  if (id !== undefined) {
+    state.blankNodeIds.set(id, issued)
+  }
+  return issued
+}
+
+/**
+ * Returns the URLs of all remote contexts referenced in a JSON-LD document or context document.
+ */
+export function getContextUrls (ld) {
+  let urls = []
+  let visit = value => {
+    if (Array.isArray(value)) {
+      value.forEach(visit)
+    } else if (value !== null && typeof value === 'object') {
+      for (let key of Object.keys(value)) {
+        if (key === '@context') {
+          for (let item of [].concat(value[key])) {
+            if (typeof item === 'string' && urls.indexOf(item) === -1) {
+              urls.push(item)
+            } else {
+              visit(item)
+            }
+          }
+        } else {
+          visit(value[key])
+        }
+      }
+    }
+  }
+  visit(ld)
+  return urls
+}
+
+/**
+ * Processes a local context and returns the new active context.
+ *
+ * @param {object} contexts The context registry, see expand().
+ */
+function processContext (activeCtx, localCtx, contexts) {
+  let ctx = {
+    terms: Object.assign({}, activeCtx.terms),
+    vocab: activeCtx.vocab
+  }
+  for (let item of [].concat(localCtx)) {
+    if (item === null) {
+      ctx = {terms: {}}
+    } else if (typeof item === 'string') {
+      if (!(item in contexts)) {
+        throw new UnknownContextError('Unknown remote context: ' + item, {url: item})
+      }
+      if (!contexts[item] || !('@context' in contexts[item])) {
+        throw new UnsupportedDocumentError('Remote context has no @context: ' + item)
+      }
+      ctx = processContext(ctx, contexts[item]['@context'], contexts)
+    } else {
+      for (let key of Object.keys(item)) {
+        let def = item[key]
+        if (key === '@vocab') {
+          ctx.vocab = def
+        } else if (key === '@base' || key === '@language' || key === '@version') {
+          // not relevant for the profile
+        } else if (key[0] === '@') {
+          throw new UnsupportedDocumentError('Unsupported JSON-LD context keyword: ' + key)
+        } else if (def === null || typeof def === 'string') {
+          ctx.terms[key] = def
+        } else {
+          if ('@reverse' in def || '@context' in def) {
+            throw new UnsupportedDocumentError('Unsupported term definition for: ' + key)
+          }
+          let container = def['@container']
+          if (container && container !== '@set' && container !== '@list') {
+            throw new UnsupportedDocumentError('Unsupported container type for: ' + key)
+          }
+          ctx.terms[key] = def
+        }
+      }
+    }
+  }
+  // expand term IRIs against the complete context, as terms may refer to prefixes defined later
+  let expanded = {terms: {}, vocab: ctx.vocab}
+  for (let term of Object.keys(ctx.terms)) {
+    let def = ctx.terms[term]
+    if (def === null) {
+      expanded.terms[term] = null
+    } else if (typeof def === 'string') {
+      expanded.terms[term] = {'@id': def}
+    } else {
+      expanded.terms[term] = Object.assign({}, def)
+      if (!('@id' in def)) {
+        expanded.terms[term]['@id'] = term
+      }
+    }
+  }
+  for (let term of Object.keys(expanded.terms)) {
+    let def = expanded.terms[term]
+    if (def) {
+      def['@id'] = expandIri({terms: expanded.terms, vocab: ctx.vocab}, def['@id'], true, term)
+    }
+  }
+  return expanded
+}
+
+/**
+ * Expands a term, compact IRI, or keyword alias to an absolute IRI or keyword.
+ * Returns undefined if the value cannot be expanded in vocab mode (undefined term).
+ *
+ * @param {boolean} vocab Whether the value is in a vocabulary position (property or type)
+ *   where terms and @vocab apply. Otherwise, only compact IRIs are expanded.
+ * @param {string} [definedTerm] The term being defined, to avoid self-references.
+ */
+function expandIri (ctx, value, vocab, definedTerm) {
+  if (typeof value !== 'string' || value[0] === '@') {
+    return value
+  }
+  if (vocab && value !== definedTerm && ctx.terms[value] !== undefined) {
+    let def = ctx.terms[value]
+    return def === null ? undefined : def['@id']
+  }
+  let colon = value.indexOf(':')
+  if (colon > 0) {
+    let prefix = value.substr(0, colon)
+    let suffix = value.substr(colon + 1)
+    if (prefix === '_' || suffix.indexOf('//') === 0) {
+      return value
+    }
+    let prefixDef = ctx.terms[prefix]
+    if (prefixDef && prefix !== definedTerm) {
+      return prefixDef['@id'] + suffix
+    }
+    return value
+  }
+  if (vocab) {
+    return ctx.vocab ? ctx.vocab + value : undefined
+  }
+  // relative IRI, we don't resolve against a base
+  return value
+}
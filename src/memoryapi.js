@@ -0,0 +1,766 @@
+import {URL_PROPS} from './api.js'
+import {intersectsBbox} from './geometry.js'
+import {matchesMetadataFilter, compareByMetadata} from './metadata.js'
+import {mergeInto} from './util.js'
+
+const CRS84 = 'http://www.opengis.net/def/crs/OGC/1.3/CRS84'
+
+const LD_CONTEXT = [
+  'http://www.w3.org/ns/hydra/context.jsonld',
+  {
+    'id': '@id',
+    'type': '@type',
+    'covapi': 'http://coverageapi.org/ns#',
+    'api': 'covapi:api'
+  }
+]
+
+const FILTER_PROPS = Object.keys(URL_PROPS).filter(prop => prop.indexOf('filter') === 0)
+const SUBSET_PROPS = Object.keys(URL_PROPS).filter(prop => prop.indexOf('subset') === 0)
+const PAGING_PROPS = ['itemsPerPage', 'startIndex', 'sort']
+
+/** The URL properties which are mapped by default, that is, all except format */
+const DEFAULT_CAPABILITIES = [...FILTER_PROPS, ...SUBSET_PROPS, ...PAGING_PROPS]
+
+/** URL properties whose values are expanded from arrays (or objects) by the URL template */
+const LIST_PROPS = ['filterObservedProperty', 'filterMetadata', 'subsetIndex', 'subsetParameters']
+
+/**
+ * An in-memory stand-in for a server implementing the Coverage Data REST API,
+ * which allows to test code using wrap() end to end without network.
+ *
+ * It serves a collection of coverages built from in-memory data, where the .ld property
+ * of the collection and its coverages contains a covapi:api URL template with the configured
+ * capabilities and, if the collection is paged, a hydra:view with paging links.
+ * Its loader parses URLs created from these templates (see API.getUrl()) and returns
+ * filtered, subsetted, and paged results. All requested URLs are recorded in the requests array.
+ *
+ * Results can be queried and subsetted again, in which case the query parameters
+ * are appended to the URL of the result and applied after the previous ones.
+ *
+ * This module is not part of the browser bundle and has to be imported separately.
+ *
+ * @example
+ * import {wrap} from 'coverage-rest-client'
+ * import {MemoryAPI} from 'coverage-rest-client/lib/memoryapi.js'
+ *
+ * let server = new MemoryAPI({
+ *   url: 'http://example.com/coverages',
+ *   coverages: [{
+ *     axes: {x: [1, 2, 3], y: [50, 51], t: ['2015-01-01T00:00:00Z']},
+ *     parameters: {temp: {observedProperty: 'http://example.com/temp', values: [1, 2, 3, 4, 5, 6]}},
+ *     metadata: {title: 'Buoy 1'}
+ *   }],
+ *   capabilities: ['filterBbox', 'subsetBbox'],
+ *   pageSize: 10
+ * })
+ * server.load(server.url)
+ *   .then(coll => wrap(coll, {loader: server.loader}))
+ *   .then(coll => coll.query().filter({x: {start: 0, stop: 2}, y: {start: 49, stop: 52}}).execute())
+ *   .then(result => console.log(server.requests))
+ */
+export class MemoryAPI {
+  /**
+   * @param {object} options
+   * @param {string} options.url The URL of the collection.
+   * @param {Array<object>} options.coverages The coverages of the collection, each an object with:
+   *   id: the URL of the coverage, defaults to the collection URL followed by /1, /2, etc.;
+   *   axes: axis key -> array of axis values (numbers or ISO date strings);
+   *   parameters: parameter key -> {values, observedProperty, label, dataType}, where values is an array
+   *     in row-major order of the axes (as given) or a function returning the value for an object of
+   *     axis indices, and observedProperty is the URI of the observed property;
+   *   metadata: fields which are copied into the .ld property of the coverage, e.g. for metadata filtering;
+   *   referencing: the referencing of the domain, which defaults to CRS84 for axes x and y,
+   *     a vertical CRS for z, and a Gregorian temporal reference system for t;
+   *   domainType: defaults to 'Grid'.
+   * @param {Array<string>} [options.capabilities] The URL properties mapped by the URL templates,
+   *   e.g. 'filterBbox', 'subsetTimeStart', or 'itemsPerPage' (as in API.getUrl()).
+   *   All except 'format' by default. Collection templates use the filter, subset,
+   *   and paging properties, coverage templates only the subset properties.
+   * @param {number} [options.pageSize] The number of coverages per page if no itemsPerPage is requested.
+   *   By default, collections are not paged.
+   */
+  constructor (options) {
+    if (!options || !options.url) {
+      throw new Error('options.url must be given')
+    }
+    if (!Array.isArray(options.coverages)) {
+      throw new Error('options.coverages must be an array')
+    }
+    let capabilities = options.capabilities || DEFAULT_CAPABILITIES
+    let unsupported = capabilities.filter(prop => DEFAULT_CAPABILITIES.indexOf(prop) === -1)
+    if (unsupported.length > 0) {
+      throw new Error('Unsupported capabilities: ' + unsupported.join(', '))
+    }
+    this.url = options.url
+    this.requests = []
+    this.loader = url => this.load(url)
+    this._collectionProps = capabilities
+    this._coverageProps = capabilities.filter(prop => SUBSET_PROPS.indexOf(prop) !== -1)
+    this._pageSize = options.pageSize
+    this._sources = options.coverages.map((spec, i) => createSource(spec, this.url + '/' + (i + 1)))
+  }
+
+  /**
+   * Loads a URL of the collection, a coverage, or a result derived from them.
+   *
+   * @param {string} url The URL.
+   * @returns {Promise<object>} A Promise succeeding with a Coverage or CoverageCollection object,
+   *   or failing if the URL is unknown or has invalid query parameters.
+   */
+  load (url) {
+    this.requests.push(url)
+    return new Promise(resolve => {
+      let i = url.indexOf('?')
+      let base = i === -1 ? url : url.substr(0, i)
+      let rounds = parseQuery(i === -1 ? '' : url.substr(i + 1))
+      if (base === this.url) {
+        resolve(this._loadCollection(url, rounds))
+        return
+      }
+      let source = this._sources.find(source => source.id === base)
+      if (!source) {
+        throw new Error('Not found: ' + url)
+      }
+      let item = createItem(source)
+      for (let round of rounds) {
+        checkParams(round, SUBSET_PROPS, 'coverage')
+        item = nonEmpty(applySubset(item, round))
+      }
+      resolve(this._createCoverage(item))
+    })
+  }
+
+  _loadCollection (url, rounds) {
+    let items = this._sources.map(createItem)
+    let page
+    // without query parameters, the default page size still applies
+    let requests = rounds.length > 0 ? rounds : [[]]
+    requests.forEach(round => {
+      checkParams(round, [...FILTER_PROPS, ...SUBSET_PROPS, ...PAGING_PROPS], 'collection')
+      items = items.filter(item => matchesFilter(item, round))
+      let sort = getParam(round, 'sort')
+      if (sort) {
+        let order = sort[0] === '-' ? 'desc' : 'asc'
+        let field = order === 'desc' ? sort.substr(1) : sort
+        items = items.slice().sort((a, b) => compareByMetadata(describe(a), describe(b), field, order))
+      }
+      let start = getParam(round, 'startIndex') ? getInteger(round, 'startIndex', 1) : 1
+      let limit = getParam(round, 'itemsPerPage') ? getInteger(round, 'itemsPerPage', 0) : this._pageSize
+      page = {start, limit, total: items.length}
+      items = items.slice(start - 1, limit === undefined ? undefined : start - 1 + limit)
+      // coverages which do not intersect the subset are left out
+      items = items.map(item => applySubset(item, round)).filter(item => item)
+    })
+    let coverages = items.map(item => this._createCoverage(item))
+
+    let node = {id: url}
+    mergeInto(createApi(url, this._collectionProps), node)
+    if (page.limit !== undefined && (page.start > 1 || page.start - 1 + page.limit < page.total)) {
+      node.totalItems = page.total
+      node.view = createView(url, rounds, page)
+    }
+    let ld = {
+      '@context': LD_CONTEXT,
+      '@graph': [node, ...coverages.map(cov => {
+        let covNode = {id: cov.id}
+        mergeInto(createApi(cov.id, this._coverageProps), covNode)
+        return covNode
+      })]
+    }
+    return createCollection(coverages, url, ld)
+  }
+
+  _createCoverage (item) {
+    let ld = {'@context': LD_CONTEXT}
+    mergeInto(item.source.metadata, ld)
+    ld.id = item.id
+    mergeInto(createApi(item.id, this._coverageProps), ld)
+    return createCoverage(item, item.id, ld)
+  }
+}
+
+/**
+ * Normalizes a coverage specification, see the MemoryAPI constructor.
+ */
+function createSource (spec, defaultId) {
+  let id = spec.id || defaultId
+  if (id.indexOf('?') !== -1) {
+    throw new Error('Coverage ids must not have a query part: ' + id)
+  }
+  let axisKeys = Object.keys(spec.axes || {})
+  let parameters = new Map()
+  let ranges = {}
+  for (let key of Object.keys(spec.parameters || {})) {
+    let paramSpec = spec.parameters[key]
+    let param = {key}
+    if (paramSpec.label) {
+      param.label = {en: paramSpec.label}
+    }
+    if (paramSpec.observedProperty) {
+      param.observedProperty = {id: paramSpec.observedProperty, label: {en: paramSpec.label || key}}
+    }
+    parameters.set(key, param)
+    ranges[key] = {
+      dataType: paramSpec.dataType || 'float',
+      get: typeof paramSpec.values === 'function'
+        ? paramSpec.values
+        : getArrayAccessor(paramSpec.values || [], axisKeys, spec.axes)
+    }
+  }
+  let referencing = spec.referencing || getDefaultReferencing(axisKeys)
+  return {
+    id,
+    domainType: spec.domainType || 'Grid',
+    axisKeys,
+    axes: spec.axes,
+    parameters,
+    ranges,
+    referencing,
+    concepts: getConceptAxes(referencing),
+    metadata: spec.metadata || {}
+  }
+}
+
+/**
+ * Returns a function that returns the value of a row-major array for an object of axis indices.
+ */
+function getArrayAccessor (values, axisKeys, axes) {
+  return obj => {
+    let offset = 0
+    for (let key of axisKeys) {
+      offset = offset * axes[key].length + (obj[key] || 0)
+    }
+    return values[offset]
+  }
+}
+
+function getDefaultReferencing (axisKeys) {
+  let has = key => axisKeys.indexOf(key) !== -1
+  let referencing = []
+  if (has('x') && has('y')) {
+    referencing.push({components: ['x', 'y'], system: {type: 'GeodeticCRS', id: CRS84}})
+  }
+  if (has('z')) {
+    referencing.push({components: ['z'], system: {type: 'VerticalCRS'}})
+  }
+  if (has('t')) {
+    referencing.push({components: ['t'], system: {type: 'TemporalRS', calendar: 'Gregorian'}})
+  }
+  return referencing
+}
+
+/**
+ * Returns an object mapping the API concepts x, y, vertical, and time to axis keys.
+ */
+function getConceptAxes (referencing) {
+  let concepts = {}
+  for (let {components, system} of referencing) {
+    if (system.type === 'TemporalRS') {
+      concepts.time = components[0]
+    } else if (system.type === 'VerticalCRS') {
+      concepts.vertical = components[0]
+    } else if (system.type === 'GeodeticCRS' || system.type === 'ProjectedCRS') {
+      [concepts.x, concepts.y] = components
+      if (components.length === 3) {
+        concepts.vertical = components[2]
+      }
+    }
+  }
+  return concepts
+}
+
+/**
+ * An item is a view on a coverage source:
+ * {id, source, indices: axis key -> [source axis index, ...], keys: [parameter key, ...]}
+ */
+function createItem (source) {
+  let indices = {}
+  for (let key of source.axisKeys) {
+    indices[key] = source.axes[key].map((v, i) => i)
+  }
+  return {id: source.id, source, indices, keys: [...source.parameters.keys()]}
+}
+
+function getAxisValues (item, axis) {
+  let values = item.source.axes[axis]
+  return item.indices[axis].map(i => values[i])
+}
+
+/**
+ * Returns the parameters and metadata of an item as needed for metadata filtering and sorting.
+ */
+function describe (item) {
+  return {
+    parameters: new Map(item.keys.map(key => [key, item.source.parameters.get(key)])),
+    ld: item.source.metadata
+  }
+}
+
+/**
+ * Returns a subset of an item.
+ *
+ * @param {object} valueConstraints Axis key -> value, {start, stop}, or {target}.
+ * @param {object} indexConstraints Axis key -> index or {start, stop, step}, applied after the value constraints.
+ * @param {Array<string>} [keys] The parameters to keep.
+ * @returns {object|null} The subset, or null if no axis values match a value constraint.
+ */
+function subsetItem (item, valueConstraints, indexConstraints, keys = item.keys) {
+  let indices = Object.assign({}, item.indices)
+  let select = (axis, positions) => {
+    indices[axis] = positions.map(i => indices[axis][i])
+  }
+  for (let axis of Object.keys(valueConstraints)) {
+    checkAxis(item, axis)
+    let values = getAxisValues({source: item.source, indices}, axis).map(toNumber)
+    let positions = getValuePositions(values, valueConstraints[axis])
+    if (positions.length === 0) {
+      return null
+    }
+    select(axis, positions)
+  }
+  for (let axis of Object.keys(indexConstraints)) {
+    checkAxis(item, axis)
+    let len = indices[axis].length
+    let constraint = indexConstraints[axis]
+    let {start = 0, stop = len - 1, step = 1} = typeof constraint === 'number' ? {start: constraint, stop: constraint} : constraint
+    if (start < 0 || stop >= len || start > stop) {
+      throw new Error('Invalid index subset of axis ' + axis + ': ' + JSON.stringify(constraint))
+    }
+    let positions = []
+    for (let i = start; i <= stop; i += step) {
+      positions.push(i)
+    }
+    select(axis, positions)
+  }
+  let unknown = keys.filter(key => item.keys.indexOf(key) === -1)
+  if (unknown.length > 0) {
+    throw new Error('Unknown parameters: ' + unknown.join(', '))
+  }
+  return {id: item.id, source: item.source, indices, keys}
+}
+
+/**
+ * Throws an error if a subset is empty, see subsetItem().
+ */
+function nonEmpty (item) {
+  if (!item) {
+    throw new Error('The subset is empty')
+  }
+  return item
+}
+
+function checkAxis (item, axis) {
+  if (!(axis in item.indices)) {
+    throw new Error('Unknown axis: ' + axis)
+  }
+}
+
+/**
+ * Returns the positions of the values matching a value constraint.
+ */
+function getValuePositions (values, constraint) {
+  let positions = values.map((v, i) => i)
+  if (typeof constraint !== 'object') {
+    return positions.filter(i => values[i] === toNumber(constraint))
+  } else if ('target' in constraint) {
+    let target = toNumber(constraint.target)
+    let nearest = positions.reduce((best, i) =>
+      Math.abs(values[i] - target) < Math.abs(values[best] - target) ? i : best)
+    return [nearest]
+  } else {
+    let [min, max] = [constraint.start, constraint.stop].map(toNumber).sort((a, b) => a - b)
+    return positions.filter(i => min <= values[i] && values[i] <= max)
+  }
+}
+
+/**
+ * Returns the axis extent of an item for an API concept as [min, max],
+ * or undefined if the item has no axis for the concept.
+ */
+function getExtent (item, concept) {
+  let axis = item.source.concepts[concept]
+  if (!axis) return
+  let values = getAxisValues(item, axis).map(toNumber)
+  return [Math.min(...values), Math.max(...values)]
+}
+
+function intersects (extent, start, stop) {
+  let [min, max] = [toNumber(start), toNumber(stop)]
+  return extent !== undefined && !(extent[1] < min || max < extent[0])
+}
+
+/**
+ * Returns whether an item matches the filter query parameters of a request.
+ */
+function matchesFilter (item, round) {
+  let range = (startKey, endKey, concept) => {
+    let [start, end] = [getRangeValue(round, startKey, concept), getRangeValue(round, endKey, concept)]
+    return (start === undefined && end === undefined) ||
+      intersects(getExtent(item, concept), start === undefined ? -Infinity : start, end === undefined ? Infinity : end)
+  }
+  if (!range('filterTimeStart', 'filterTimeEnd', 'time') || !range('filterVerticalStart', 'filterVerticalEnd', 'vertical')) {
+    return false
+  }
+  let bbox = getNumbers(round, 'filterBbox', 4)
+  if (bbox && !(intersects(getExtent(item, 'x'), bbox[0], bbox[2]) && intersects(getExtent(item, 'y'), bbox[1], bbox[3]))) {
+    return false
+  }
+  let geometry
+  if (getParam(round, 'filterGeometry')) {
+    geometry = {polygon: parsePolygonWKT(getParam(round, 'filterGeometry'))}
+  } else if (['filterLat', 'filterLon', 'filterRadius'].some(key => getParam(round, key))) {
+    if (!['filterLat', 'filterLon', 'filterRadius'].every(key => getParam(round, key))) {
+      throw new Error('filterLat, filterLon, and filterRadius must be given together')
+    }
+    let [lat, lon, radius] = ['filterLat', 'filterLon', 'filterRadius'].map(key => getNumbers(round, key, 1)[0])
+    geometry = {lat, lon, radius}
+  }
+  if (geometry) {
+    let [xExtent, yExtent] = [getExtent(item, 'x'), getExtent(item, 'y')]
+    if (!xExtent || !yExtent || ![-360, 0, 360].some(shift =>
+        intersectsBbox(geometry, [xExtent[0] + shift, yExtent[0], xExtent[1] + shift, yExtent[1]]))) {
+      return false
+    }
+  }
+  let metadataFilters = {
+    observedProperty: getList(round, 'filterObservedProperty'),
+    searchTerms: getParam(round, 'filterSearchTerms'),
+    metadata: getMetadataParam(round)
+  }
+  return Object.keys(metadataFilters).every(key => metadataFilters[key] === undefined ||
+    matchesMetadataFilter(describe(item), key, metadataFilters[key]))
+}
+
+/**
+ * Applies the subset query parameters of a request to an item,
+ * recording them in the id of the returned item.
+ * Returns null if the subset is empty.
+ */
+function applySubset (item, round) {
+  let subsetParams = round.filter(({key}) => SUBSET_PROPS.indexOf(key) !== -1)
+  if (subsetParams.length === 0) {
+    return item
+  }
+  let concepts = item.source.concepts
+  let constraints = {}
+  let add = (concept, constraint) => {
+    let axis = concepts[concept]
+    if (!axis) {
+      throw new Error('The coverage ' + item.source.id + ' has no ' + concept + ' axis')
+    }
+    constraints[axis] = constraint
+  }
+  let range = (startKey, endKey, concept) => {
+    let [start, stop] = [getRangeValue(round, startKey, concept), getRangeValue(round, endKey, concept)]
+    if (start !== undefined || stop !== undefined) {
+      add(concept, {start: start === undefined ? -Infinity : start, stop: stop === undefined ? Infinity : stop})
+    }
+  }
+  let bbox = getNumbers(round, 'subsetBbox', 4)
+  if (bbox) {
+    add('x', {start: bbox[0], stop: bbox[2]})
+    add('y', {start: bbox[1], stop: bbox[3]})
+  }
+  let position = getNumbers(round, 'subsetPosition', 2)
+  if (position) {
+    add('x', {target: position[0]})
+    add('y', {target: position[1]})
+  }
+  range('subsetTimeStart', 'subsetTimeEnd', 'time')
+  if (getParam(round, 'subsetTimeTarget')) {
+    add('time', {target: getParam(round, 'subsetTimeTarget')})
+  }
+  range('subsetVerticalStart', 'subsetVerticalEnd', 'vertical')
+  if (getParam(round, 'subsetVerticalTarget')) {
+    add('vertical', {target: getNumbers(round, 'subsetVerticalTarget', 1)[0]})
+  }
+  let indexConstraints = {}
+  for (let str of getList(round, 'subsetIndex') || []) {
+    let match = str.match(/^(.+)\[(\d+)(?::(\d+))?(?::(\d+))?\]$/)
+    if (!match) {
+      throw new Error('Invalid subsetIndex value: ' + str)
+    }
+    let [start, stop = start, step] = match.slice(2).filter(v => v !== undefined).map(Number)
+    indexConstraints[match[1]] = {start, stop, step}
+  }
+  let subset = subsetItem(item, constraints, indexConstraints, getList(round, 'subsetParameters'))
+  if (!subset) {
+    return null
+  }
+  let query = serializeQuery([subsetParams])
+  subset.id = item.id + (item.id.indexOf('?') === -1 ? '?' : '&') + query
+  return subset
+}
+
+/**
+ * Creates a Coverage object from an item.
+ *
+ * Subsets created by subsetByIndex() and subsetByValue() have no id but keep
+ * the .ld property such that their metadata can still be used for filtering.
+ */
+function createCoverage (item, id, ld) {
+  let {source, indices} = item
+  let parameters = new Map(item.keys.map(key => [key, source.parameters.get(key)]))
+  let domain = {
+    type: 'Domain',
+    domainType: source.domainType,
+    axes: new Map(source.axisKeys.map(key => [key, {key, values: getAxisValues(item, key)}])),
+    referencing: source.referencing
+  }
+  let shape = new Map(source.axisKeys.map(key => [key, indices[key].length]))
+  let cov = {
+    type: 'Coverage',
+    domainType: source.domainType,
+    ld,
+    parameters,
+    loadDomain: () => Promise.resolve(domain),
+    loadRange: key => {
+      if (!parameters.has(key)) {
+        return Promise.reject(new Error('Unknown parameter: ' + key))
+      }
+      let range = source.ranges[key]
+      return Promise.resolve({
+        dataType: range.dataType,
+        shape,
+        get: obj => {
+          let sourceObj = {}
+          for (let axis of source.axisKeys) {
+            sourceObj[axis] = indices[axis][obj[axis] || 0]
+          }
+          return range.get(sourceObj)
+        }
+      })
+    },
+    loadRanges: (keys = [...parameters.keys()]) => {
+      return Promise.all(keys.map(cov.loadRange)).then(ranges => new Map(keys.map((key, i) => [key, ranges[i]])))
+    },
+    subsetByIndex: constraints => new Promise(resolve =>
+      resolve(createCoverage(nonEmpty(subsetItem(item, {}, constraints)), undefined, ld))),
+    subsetByValue: constraints => new Promise(resolve =>
+      resolve(createCoverage(nonEmpty(subsetItem(item, constraints, {})), undefined, ld)))
+  }
+  if (id) {
+    cov.id = id
+  }
+  return cov
+}
+
+/**
+ * Creates a CoverageCollection object whose query() function filters and subsets locally.
+ */
+function createCollection (coverages, id, ld) {
+  let parameters = new Map()
+  for (let cov of coverages) {
+    cov.parameters.forEach((param, key) => parameters.set(key, param))
+  }
+  let collection = {
+    type: 'CoverageCollection',
+    coverages,
+    parameters,
+    query: () => createQuery(coverages)
+  }
+  if (id) {
+    collection.id = id
+    collection.ld = ld
+  }
+  return collection
+}
+
+/**
+ * Returns a CoverageCollectionQuery for the given coverages.
+ * Filters are axis key -> value or {start, stop} and match coverages whose axis extent
+ * contains the value or intersects the range, subsets are applied with subsetByValue().
+ */
+function createQuery (coverages) {
+  let filter = {}
+  let subset = {}
+  let query = {
+    filter: spec => {
+      mergeInto(spec, filter)
+      return query
+    },
+    subset: spec => {
+      mergeInto(spec, subset)
+      return query
+    },
+    execute: () => {
+      return Promise.all(coverages.map(cov => cov.loadDomain())).then(domains => {
+        let matching = coverages.filter((cov, i) => Object.keys(filter).every(axis => {
+          let axisObj = domains[i].axes.get(axis)
+          if (!axisObj) return false
+          let values = axisObj.values.map(toNumber)
+          let constraint = filter[axis]
+          let [start, stop] = typeof constraint === 'object' ? [constraint.start, constraint.stop] : [constraint, constraint]
+          return intersects([Math.min(...values), Math.max(...values)], start, stop)
+        }))
+        if (Object.keys(subset).length === 0) {
+          return createCollection(matching)
+        }
+        // coverages which do not intersect the subset are left out
+        return Promise.all(matching.map(cov => cov.subsetByValue(subset).catch(() => null)))
+          .then(subsets => createCollection(subsets.filter(cov => cov)))
+      })
+    }
+  }
+  return query
+}
+
+/**
+ * Returns the api property of a node, a URL template for the given URL properties
+ * which continues the query part of the URL, if any.
+ */
+function createApi (url, props) {
+  if (props.length === 0) {
+    return {}
+  }
+  return {
+    api: {
+      type: 'IriTemplate',
+      template: url + (url.indexOf('?') === -1 ? '{?' : '{&') + props.join(',') + '}',
+      mapping: props.map(prop => ({
+        type: 'IriTemplateMapping',
+        variable: prop,
+        property: URL_PROPS[prop],
+        required: false
+      }))
+    }
+  }
+}
+
+/**
+ * Returns the hydra:view of a page, with links that replace the startIndex of the last request.
+ *
+ * @param {object} page {start, limit, total} where start is 1-based.
+ */
+function createView (url, rounds, {start, limit, total}) {
+  let getPageUrl = pageStart => {
+    let last = rounds.length > 0 ? rounds[rounds.length - 1] : []
+    let pageRounds = rounds.slice(0, -1)
+    pageRounds.push(last.filter(({key}) => key !== 'startIndex').concat([{key: 'startIndex', raw: String(pageStart)}]))
+    return url.split('?')[0] + '?' + serializeQuery(pageRounds)
+  }
+  let view = {
+    id: url,
+    type: 'PartialCollectionView',
+    first: getPageUrl(1),
+    last: getPageUrl(start + Math.max(0, Math.floor((total - start) / limit)) * limit)
+  }
+  if (start > 1) {
+    view.previous = getPageUrl(Math.max(1, start - limit))
+  }
+  if (start - 1 + limit < total) {
+    view.next = getPageUrl(start + limit)
+  }
+  return view
+}
+
+/**
+ * Parses a query string into a list of requests, each a list of {key, raw} pairs where raw
+ * is the undecoded value. A new request starts whenever a key repeats, such that queries
+ * appended to the URL of a result are applied after the ones which created the result.
+ */
+function parseQuery (query) {
+  let rounds = []
+  let round
+  for (let pair of query.split('&').filter(pair => pair)) {
+    let i = pair.indexOf('=')
+    let key = decodeURIComponent(i === -1 ? pair : pair.substr(0, i))
+    let raw = i === -1 ? '' : pair.substr(i + 1)
+    if (!round || round.some(p => p.key === key)) {
+      round = []
+      rounds.push(round)
+    }
+    round.push({key, raw})
+  }
+  return rounds
+}
+
+function serializeQuery (rounds) {
+  return [].concat(...rounds).map(({key, raw}) => key + '=' + raw).join('&')
+}
+
+function checkParams (round, allowed, type) {
+  let unknown = round.filter(({key}) => allowed.indexOf(key) === -1)
+  if (unknown.length > 0) {
+    throw new Error('Unsupported query parameter for a ' + type + ': ' + unknown[0].key)
+  }
+}
+
+function getRaw (round, key) {
+  let pair = round.find(p => p.key === key)
+  return pair ? pair.raw : undefined
+}
+
+function getParam (round, key) {
+  let raw = getRaw(round, key)
+  if (raw === undefined) return
+  return LIST_PROPS.indexOf(key) === -1 ? decodeURIComponent(raw) : getList(round, key).join(',')
+}
+
+/**
+ * Returns the decoded items of a query parameter which was expanded from an array.
+ */
+function getList (round, key) {
+  let raw = getRaw(round, key)
+  if (raw === undefined) return
+  return raw.split(',').map(decodeURIComponent)
+}
+
+/**
+ * Returns the fields of the filterMetadata parameter, which was expanded
+ * from an object as field,value,field,value,... where values may be comma-separated lists.
+ */
+function getMetadataParam (round) {
+  let list = getList(round, 'filterMetadata')
+  if (!list) return
+  let fields = {}
+  for (let i = 0; i < list.length; i += 2) {
+    fields[list[i]] = (list[i + 1] || '').split(',')
+  }
+  return fields
+}
+
+function getNumbers (round, key, count) {
+  let value = getParam(round, key)
+  if (value === undefined) return
+  let numbers = value.split(',').map(Number)
+  if (numbers.length !== count || numbers.some(isNaN)) {
+    throw new Error('Invalid value of ' + key + ': ' + value)
+  }
+  return numbers
+}
+
+/**
+ * Returns the value of a range query parameter, an ISO date string for time and a number otherwise.
+ */
+function getRangeValue (round, key, concept) {
+  if (getParam(round, key) === undefined) return
+  return concept === 'time' ? getParam(round, key) : getNumbers(round, key, 1)[0]
+}
+
+function getInteger (round, key, min) {
+  let value = getNumbers(round, key, 1)[0]
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error('Invalid value of ' + key + ': ' + value)
+  }
+  return value
+}
+
+/**
+ * Parses a WKT polygon into its exterior ring as [[lon, lat], ...].
+ */
+function parsePolygonWKT (wkt) {
+  let match = wkt.match(/^\s*POLYGON\s*\(\s*\(([^)]*)\)/i)
+  if (!match) {
+    throw new Error('Invalid polygon: ' + wkt)
+  }
+  return match[1].split(',').map(pos => pos.trim().split(/\s+/).map(Number))
+}
+
+/**
+ * Converts ISO date strings to timestamps for comparison, other values are returned as is.
+ */
+function toNumber (value) {
+  return typeof value === 'string' ? new Date(value).getTime() : value
+}
@@ -0,0 +1,132 @@
+import {ConstraintError} from './errors.js'
+
+/**
+ * The filter keys of collection queries which refer to metadata instead of domain axes.
+ *
+ * observedProperty: URI or [URI, ...] // a parameter has one of the observed properties
+ * searchTerms: string // all whitespace-separated terms occur in the parameter or .ld metadata text
+ * metadata: {<field>: value or [value, ...], ...} // the .ld metadata fields have one of the values
+ */
+export const METADATA_FILTERS = ['observedProperty', 'searchTerms', 'metadata']
+
+/**
+ * Checks the metadata filter constraints of a filter specification
+ * and throws a ConstraintError if one is invalid.
+ */
+export function checkMetadataFilters (spec) {
+  let error = (key, msg) => new ConstraintError(msg, {operation: 'filter', concept: key, constraint: spec[key]})
+  if ('observedProperty' in spec && toArray(spec.observedProperty).some(uri => typeof uri !== 'string')) {
+    throw error('observedProperty', 'observedProperty must be a URI or an array of URIs')
+  }
+  if ('searchTerms' in spec && typeof spec.searchTerms !== 'string') {
+    throw error('searchTerms', 'searchTerms must be a string')
+  }
+  if ('metadata' in spec && (typeof spec.metadata !== 'object' || spec.metadata === null || Array.isArray(spec.metadata))) {
+    throw error('metadata', 'metadata must be an object of field names and values')
+  }
+}
+
+/**
+ * Returns whether a coverage matches a metadata filter constraint.
+ *
+ * Metadata fields are looked up as top-level properties of the coverage's .ld document,
+ * with the field names as used in the document.
+ *
+ * @param {object} coverage The coverage, its parameters and .ld property are used.
+ * @param {string} key One of METADATA_FILTERS.
+ * @param {*} constraint The constraint, see METADATA_FILTERS.
+ */
+export function matchesMetadataFilter (coverage, key, constraint) {
+  if (key === 'observedProperty') {
+    let uris = toArray(constraint)
+    return [...coverage.parameters.values()].some(param =>
+      param.observedProperty && uris.indexOf(param.observedProperty.id) !== -1)
+  } else if (key === 'searchTerms') {
+    let text = getText(coverage).toLowerCase()
+    return constraint.toLowerCase().split(/\s+/).filter(term => term).every(term => text.indexOf(term) !== -1)
+  } else if (key === 'metadata') {
+    let ld = coverage.ld || {}
+    return Object.keys(constraint).every(field => {
+      let expected = toArray(constraint[field]).map(String)
+      return getLdValues(ld[field]).some(value => expected.indexOf(String(value)) !== -1)
+    })
+  }
+}
+
+/**
+ * Compares two coverages by a metadata field for sorting, see Array.prototype.sort().
+ * The field is looked up like for metadata filters, using its first value.
+ * Coverages without a value are sorted last, independent of the order.
+ *
+ * @param {string} field The metadata field.
+ * @param {string} [order='asc'] 'asc' or 'desc'.
+ */
+export function compareByMetadata (a, b, field, order = 'asc') {
+  let [va, vb] = [a, b].map(cov => getLdValues((cov.ld || {})[field])[0])
+  if (va === undefined || vb === undefined) {
+    return (va === undefined) - (vb === undefined)
+  }
+  let result = typeof va === 'number' && typeof vb === 'number'
+    ? va - vb
+    : String(va) < String(vb) ? -1 : String(va) > String(vb) ? 1 : 0
+  return order === 'desc' ? -result : result
+}
+
+/**
+ * Returns the searchable text of a coverage, that is, the labels and descriptions
+ * of its parameters and observed properties, and the string values of its .ld document.
+ */
+function getText (coverage) {
+  let strings = []
+  for (let param of coverage.parameters.values()) {
+    strings.push(param.key)
+    for (let obj of [param, param.observedProperty]) {
+      if (!obj) continue
+      for (let i18n of [obj.label, obj.description]) {
+        if (i18n) {
+          strings.push(...Object.keys(i18n).map(lang => i18n[lang]))
+        }
+      }
+    }
+  }
+  collectStrings(coverage.ld, strings)
+  return strings.join(' ')
+}
+
+function collectStrings (value, strings) {
+  if (typeof value === 'string') {
+    strings.push(value)
+  } else if (Array.isArray(value)) {
+    value.forEach(v => collectStrings(v, strings))
+  } else if (typeof value === 'object' && value !== null) {
+    for (let key of Object.keys(value)) {
+      if (key !== '@context') {
+        collectStrings(value[key], strings)
+      }
+    }
+  }
+}
+
+/**
+ * Returns the primitive values of a JSON-LD property value,
+ * unwrapping arrays, value objects, and node references.
+ */
+function getLdValues (value) {
+  if (value === undefined || value === null) {
+    return []
+  } else if (Array.isArray(value)) {
+    return [].concat(...value.map(getLdValues))
+  } else if (typeof value === 'object') {
+    if ('@value' in value) {
+      return [value['@value']]
+    } else if ('@id' in value) {
+      return [value['@id']]
+    }
+    return []
+  }
+  return [value]
+}
+
+function toArray (value) {
+  return Array.isArray(value) ? value : [value]
+}
@@ -0,0 +1,121 @@
+import {getAbortError} from './abort.js'
+import {shallowcopy} from './util.js'
+
+/**
+ * Returns an async iterator over the coverages of a collection and all
+ * following pages of it, as linked via paging.next.
+ *
+ * The returned object implements the async iteration protocol, that is,
+ * next() returns a Promise succeeding with {value, done}. If the runtime supports
+ * Symbol.asyncIterator, then it can also be used in a for-await-of loop.
+ *
+ * Iteration ends when there is no next page or when paging.total coverages
+ * (as reported by the first page) have been returned. It can be ended early
+ * by calling return(), after which no further pages are loaded.
+ *
+ * If loading a page fails, then next() fails with that error once the page is reached,
+ * pages after it are not loaded, and iteration ends.
+ *
+ * @param {object} collection The (wrapped) collection to start with.
+ * @param {object} [options] Options which are also passed to the page loading functions,
+ *   except for prefetch.
+ * @param {number} [options.prefetch=0] The number of pages to load ahead of the current page.
+ * @param {object} [options.signal] An abort signal, once aborted no further pages are loaded,
+ *   pages loaded ahead are discarded, and next() fails with an AbortError after the current page.
+ * @returns {object} The async iterator.
+ */
+export function iterateCoverages (collection, options = {}) {
+  let prefetch = options.prefetch || 0
+  let signal = options.signal
+  let loadOptions = shallowcopy(options)
+  delete loadOptions.prefetch
+  let total = collection.paging ? collection.paging.total : undefined
+  let index = 0 // within the current page
+  let count = 0
+  let finished = false
+  let failed = false
+
+  // the current page followed by the pages loaded ahead,
+  // each entry is a Promise succeeding with the page or null if there is none
+  let queue = []
+  let tail = Promise.resolve(collection)
+  let push = promise => {
+    // a failure is reported by next() when the page is reached, not as unhandled rejection
+    promise.catch(() => {
+      failed = true
+    })
+    queue.push(promise)
+  }
+  let fill = () => {
+    while (!failed && !(signal && signal.aborted) && queue.length < prefetch + 1) {
+      tail = tail.then(page => {
+        if (finished || !page || !page.paging || !page.paging.next) {
+          return null
+        }
+        return page.paging.next.load(loadOptions)
+      })
+      push(tail)
+    }
+  }
+  push(tail)
+  fill()
+
+  // discards the pages loaded ahead, their loads fail and the failures are ignored already
+  let onAbort = () => queue.splice(1)
+  let finish = () => {
+    finished = true
+    queue = []
+    if (signal) {
+      signal.removeEventListener('abort', onAbort)
+    }
+  }
+  if (signal) {
+    signal.addEventListener('abort', onAbort)
+  }
+
+  let step = () => {
+    if (finished || (total !== undefined && count >= total)) {
+      finish()
+      return Promise.resolve({done: true, value: undefined})
+    }
+    return queue[0].then(page => {
+      if (finished || !page) {
+        finish()
+        return {done: true, value: undefined}
+      }
+      if (index < page.coverages.length) {
+        count++
+        return {done: false, value: page.coverages[index++]}
+      }
+      if (signal && signal.aborted) {
+        finish()
+        throw getAbortError(signal)
+      }
+      queue.shift()
+      index = 0
+      fill()
+      return step()
+    }, e => {
+      finish()
+      throw e
+    })
+  }
+
+  // calls of next() are serialized so that coverages are returned in order
+  let pending = Promise.resolve()
+  let iterator = {
+    next: () => {
+      let result = pending.then(step)
+      pending = result.catch(() => {})
+      return result
+    },
+    return: value => {
+      finish()
+      return Promise.resolve({done: true, value})
+    }
+  }
+  if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+    iterator[Symbol.asyncIterator] = () => iterator
+  }
+  return iterator
+}
@@ -0,0 +1,208 @@
+import {AbortError, CircuitOpenError} from './errors.js'
+import {wait} from './abort.js'
+import {emit} from './events.js'
+
+/** The default settings of the policy option of wrap() */
+const DEFAULTS = {
+  retries: 0,
+  retryDelay: 250,
+  maxRetryDelay: 10000,
+  backoffFactor: 2,
+  jitter: false,
+  isTransient: isTransientError,
+  fallbackToLocal: false
+}
+
+/** The default settings of the circuitBreaker option of the policy */
+const CIRCUIT_BREAKER_DEFAULTS = {
+  failureThreshold: 5,
+  resetTimeout: 30000
+}
+
+/**
+ * Policy object -> Map of URL template -> circuit breaker state,
+ * such that all objects wrapped with the same policy share their circuit breakers.
+ */
+const circuitBreakers = new WeakMap()
+
+/**
+ * Checks the policy option of wrap() and throws an Error if it is invalid.
+ */
+export function checkPolicy (policy) {
+  let settings = getSettings(policy)
+  for (let key of ['retries', 'retryDelay', 'maxRetryDelay']) {
+    if (typeof settings[key] !== 'number' || !(settings[key] >= 0)) {
+      throw new Error('options.policy.' + key + ' must be a non-negative number')
+    }
+  }
+  if (typeof settings.backoffFactor !== 'number' || !(settings.backoffFactor >= 1)) {
+    throw new Error('options.policy.backoffFactor must be a number >= 1')
+  }
+  if (typeof settings.isTransient !== 'function') {
+    throw new Error('options.policy.isTransient must be a function')
+  }
+  let breaker = settings.circuitBreaker
+  if (breaker && (!(breaker.failureThreshold >= 1) || !(breaker.resetTimeout >= 0))) {
+    throw new Error('options.policy.circuitBreaker must have a failureThreshold >= 1 and a non-negative resetTimeout')
+  }
+}
+
+/**
+ * Returns whether a loader error is likely transient such that retrying may succeed.
+ * Errors with an HTTP status (as status, statusCode, or response.status property) are transient
+ * for 408, 429, and 5xx status codes, errors without status (e.g. network failures) are always transient.
+ */
+export function isTransientError (error) {
+  let status = error && (error.status || error.statusCode || (error.response && error.response.status))
+  if (typeof status !== 'number') {
+    return true
+  }
+  return status >= 500 || status === 408 || status === 429
+}
+
+/**
+ * Returns whether failed requests via a URL template may be done locally instead,
+ * which is the case if the fallbackToLocal setting of the policy is true
+ * and the circuit breaker of the template is not closed, that is, requests failed repeatedly.
+ *
+ * @param {object} wrapOptions The wrap options.
+ * @param {string} template The URL template of the circuit breaker, see loadWithPolicy().
+ */
+export function allowsLocalFallback (wrapOptions, template) {
+  let policy = wrapOptions.policy
+  if (!policy || !getSettings(policy).fallbackToLocal || !circuitBreakers.has(policy)) {
+    return false
+  }
+  let breaker = circuitBreakers.get(policy).get(template)
+  return !!breaker && breaker.state !== 'closed'
+}
+
+/**
+ * Loads a URL with the retry and circuit breaker settings of the policy in the wrap options.
+ *
+ * Failures with transient errors (see isTransientError()) are retried with exponential backoff.
+ * If a circuit breaker is configured, then it opens when the given number of consecutive requests
+ * via the same URL template finally failed with transient errors. While open, requests fail with a
+ * CircuitOpenError without calling the loader. After the reset timeout, a single trial request is let
+ * through (half-open), which closes the circuit again if it does not fail with a transient error.
+ *
+ * Events: retry {url, attempt, delay, error}, circuitOpen {template, failures},
+ * circuitHalfOpen {template}, circuitClose {template}
+ *
+ * @param {function} load A function which loads the URL once and returns a Promise.
+ * @param {string} url The URL.
+ * @param {object} options The loader options, used for their abort signal.
+ * @param {object} wrapOptions The wrap options.
+ * @param {string} template The URL template the URL was created from, or the URL without query.
+ * @returns {Promise} The result of the load function.
+ */
+export function loadWithPolicy (load, url, options, wrapOptions, template) {
+  let policy = wrapOptions.policy
+  if (!policy) {
+    return load()
+  }
+  let settings = getSettings(policy)
+  let breaker = settings.circuitBreaker ? getCircuitBreaker(policy, template) : undefined
+  let signal = options && options.signal
+  let isTransient = e => !(e instanceof AbortError) && !(signal && signal.aborted) && settings.isTransient(e)
+
+  let attempt = n => load().catch(e => {
+    if (!isTransient(e) || n >= settings.retries) {
+      throw e
+    }
+    let delay = Math.min(settings.maxRetryDelay, settings.retryDelay * Math.pow(settings.backoffFactor, n))
+    if (settings.jitter) {
+      delay *= 0.5 + Math.random() / 2
+    }
+    emit(wrapOptions, 'retry', {url, attempt: n + 1, delay, error: e})
+    return wait(delay, signal).then(() => attempt(n + 1))
+  })
+
+  if (!breaker) {
+    return attempt(0)
+  }
+  return new Promise(resolve => {
+    enterCircuit(breaker, settings.circuitBreaker, url, wrapOptions)
+    resolve(attempt(0).then(result => {
+      leaveCircuit(breaker, true, wrapOptions)
+      return result
+    }, e => {
+      if (isTransient(e)) {
+        leaveCircuit(breaker, false, wrapOptions, settings.circuitBreaker)
+      } else if (e instanceof AbortError || (signal && signal.aborted)) {
+        // an aborted request says nothing about the server, but another trial is needed
+        breaker.trial = false
+      } else {
+        // the server responded
+        leaveCircuit(breaker, true, wrapOptions)
+      }
+      throw e
+    }))
+  })
+}
+
+function getSettings (policy) {
+  let settings = Object.assign({}, DEFAULTS, policy)
+  if (settings.fallbackToLocal && !settings.circuitBreaker) {
+    // falling back is tied to the state of the circuit breaker
+    settings.circuitBreaker = true
+  }
+  if (settings.circuitBreaker) {
+    settings.circuitBreaker = Object.assign({}, CIRCUIT_BREAKER_DEFAULTS,
+      settings.circuitBreaker === true ? {} : settings.circuitBreaker)
+  }
+  return settings
+}
+
+function getCircuitBreaker (policy, template) {
+  if (!circuitBreakers.has(policy)) {
+    circuitBreakers.set(policy, new Map())
+  }
+  let breakers = circuitBreakers.get(policy)
+  if (!breakers.has(template)) {
+    breakers.set(template, {template, state: 'closed', failures: 0, openedAt: undefined, trial: false})
+  }
+  return breakers.get(template)
+}
+
+/**
+ * Throws a CircuitOpenError if a request is not allowed by the circuit breaker.
+ */
+function enterCircuit (breaker, settings, url, wrapOptions) {
+  let {template} = breaker
+  if (breaker.state === 'open' && Date.now() - breaker.openedAt >= settings.resetTimeout) {
+    breaker.state = 'halfOpen'
+    emit(wrapOptions, 'circuitHalfOpen', {template})
+  }
+  if (breaker.state === 'open' || (breaker.state === 'halfOpen' && breaker.trial)) {
+    throw new CircuitOpenError('Not loading ' + url + ' as requests via ' + template + ' failed repeatedly',
+      {url, template})
+  }
+  if (breaker.state === 'halfOpen') {
+    breaker.trial = true
+  }
+}
+
+/**
+ * Records the outcome of a request with the circuit breaker.
+ *
+ * @param {boolean} success Whether the request did not fail with a transient error.
+ */
+function leaveCircuit (breaker, success, wrapOptions, settings) {
+  let {template} = breaker
+  breaker.trial = false
+  if (success) {
+    breaker.failures = 0
+    if (breaker.state !== 'closed') {
+      breaker.state = 'closed'
+      emit(wrapOptions, 'circuitClose', {template})
+    }
+    return
+  }
+  breaker.failures++
+  if (breaker.state === 'halfOpen' || (breaker.state === 'closed' && breaker.failures >= settings.failureThreshold)) {
+    breaker.state = 'open'
+    breaker.openedAt = Date.now()
+    emit(wrapOptions, 'circuitOpen', {template, failures: breaker.failures})
+  }
+}
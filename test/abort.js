@@ -0,0 +1,242 @@
+/* eslint-env mocha */
+import assert from 'assert'
+
+import {wrap, latestWins, AbortError, TimeoutError} from '../src/client.js'
+import {createAbortController} from '../src/abort.js'
+import {T1, T2, COLLECTION_URL, createServer, loadCoverage, loadCollection, rejection} from './helpers.js'
+
+const TIME_SUBSETTING = ['subsetTimeStart', 'subsetTimeEnd']
+const DOMAIN_URL = COLLECTION_URL + '/1/domain'
+
+/**
+ * Returns a loader for the server whose responses are delayed until release() is called,
+ * and which fails with the abort reason once the signal of a call is aborted, like fetch() does.
+ * The URLs and signals of its calls are recorded, and onCall is called after each call.
+ */
+function createDelayingLoader (server) {
+  let pending = []
+  let loader = {
+    calls: [],
+    onCall: () => {},
+    load: (url, options) => {
+      let signal = options.signal
+      let promise = new Promise((resolve, reject) => {
+        pending.push(() => resolve(server.load(url)))
+        if (signal) {
+          signal.addEventListener('abort', () => reject(signal.reason))
+        }
+      })
+      loader.calls.push({url, signal})
+      loader.onCall()
+      return promise
+    },
+    release: () => pending.splice(0).forEach(respond => respond())
+  }
+  return loader
+}
+
+/**
+ * Loads the first coverage of the server, wrapped with the given loader.
+ */
+function loadDelayedCoverage (server, loader) {
+  return loadCoverage(server, {loader: loader.load})
+}
+
+describe('cancelling operations', () => {
+  it('fails with an AbortError and aborts the request of the loader', () => {
+    let server = createServer({capabilities: TIME_SUBSETTING})
+    let loader = createDelayingLoader(server)
+    let controller = createAbortController()
+    loader.onCall = () => controller.abort()
+    return loadDelayedCoverage(server, loader).then(cov => rejection(cov.subsetByValue({t: T1}, {signal: controller.signal}))).then(e => {
+      assert(e instanceof AbortError)
+      assert.equal(loader.calls.length, 1)
+      assert(loader.calls[0].signal.aborted)
+    })
+  })
+
+  it('makes no requests if the signal is aborted already', () => {
+    let server = createServer({capabilities: TIME_SUBSETTING})
+    let loader = createDelayingLoader(server)
+    let controller = createAbortController()
+    controller.abort()
+    return loadDelayedCoverage(server, loader).then(cov => Promise.all([
+      rejection(cov.subsetByValue({t: T1}, {signal: controller.signal})),
+      rejection(cov.selectParameters(['temp'], {signal: controller.signal})),
+      rejection(cov.extractPoint({x: 1, y: 50, time: T1}, {signal: controller.signal}))
+    ])).then(errors => {
+      for (let e of errors) {
+        assert(e instanceof AbortError)
+      }
+      assert.deepEqual(loader.calls, [])
+    })
+  })
+
+  it('fails with a TimeoutError once the timeout elapsed', () => {
+    let server = createServer({capabilities: TIME_SUBSETTING})
+    let loader = createDelayingLoader(server)
+    return loadDelayedCoverage(server, loader).then(cov => rejection(cov.subsetByValue({t: T1}, {timeout: 10}))).then(e => {
+      assert(e instanceof TimeoutError)
+      assert(e instanceof AbortError)
+      assert.equal(e.timeout, 10)
+      assert(loader.calls[0].signal.aborted)
+    })
+  })
+
+  it('rejects invalid timeouts', () => {
+    return loadCoverage(createServer()).then(cov => rejection(cov.subsetByValue({t: T1}, {timeout: -1}))).then(e => {
+      assert(!(e instanceof AbortError))
+    })
+  })
+
+  it('aborts superseded calls with latestWins()', () => {
+    let server = createServer({capabilities: TIME_SUBSETTING})
+    let loader = createDelayingLoader(server)
+    return loadDelayedCoverage(server, loader).then(cov => {
+      let latest = latestWins(cov)
+      let second
+      // the second call is made once the request of the first one is pending
+      loader.onCall = () => {
+        loader.onCall = () => loader.release()
+        second = latest.subsetByValue({t: T2})
+      }
+      return rejection(latest.subsetByValue({t: T1})).then(e => Promise.all([e, second]))
+    }).then(([e, subset]) => {
+      assert(e instanceof AbortError)
+      assert(loader.calls[0].signal.aborted)
+      assert(!loader.calls[1].signal.aborted)
+      return subset.loadDomain()
+    }).then(domain => {
+      assert.deepEqual(domain.axes.get('t').values, [T2])
+    })
+  })
+
+  it('respects the signals given to latestWins() calls', () => {
+    let server = createServer({capabilities: TIME_SUBSETTING})
+    let loader = createDelayingLoader(server)
+    let controller = createAbortController()
+    loader.onCall = () => controller.abort()
+    return loadDelayedCoverage(server, loader).then(cov => {
+      return rejection(latestWins(cov).subsetByValue({t: T1}, {signal: controller.signal}))
+    }).then(e => {
+      assert(e instanceof AbortError)
+      assert(loader.calls[0].signal.aborted)
+    })
+  })
+
+  it('stops iterating over pages after the current page and discards pages loaded ahead', () => {
+    let coverages = [1, 2, 3, 4, 5, 6, 7].map(i => ({axes: {y: [50], x: [i]}, parameters: {temp: {values: [i]}}}))
+    let server = createServer({coverages, pageSize: 2})
+    let controller = createAbortController()
+    let iterator
+    let requests
+    return loadCollection(server).then(coll => {
+      iterator = coll.iterateCoverages({prefetch: 2, signal: controller.signal})
+      return iterator.next()
+    }).then(({value}) => {
+      assert.equal(value.id, COLLECTION_URL + '/1')
+      controller.abort()
+      requests = server.requests.length
+      return iterator.next()
+    }).then(({value}) => {
+      // the current page is finished
+      assert.equal(value.id, COLLECTION_URL + '/2')
+      return rejection(iterator.next())
+    }).then(e => {
+      assert(e instanceof AbortError)
+      assert.equal(server.requests.length, requests)
+      return iterator.next()
+    }).then(({done}) => {
+      assert(done)
+    })
+  })
+
+  it('cancels subsets of locally subsetted coverages', () => {
+    let server = createServer({capabilities: TIME_SUBSETTING})
+    let loader = createDelayingLoader(server)
+    let controller = createAbortController()
+    loader.onCall = () => controller.abort()
+    let signal = controller.signal
+    return loadDelayedCoverage(server, loader).then(cov => cov.subsetByValue({x: {start: 2, stop: 3}})).then(subset => {
+      return rejection(subset.subsetByValue({t: T2}, {signal})).then(e => {
+        assert(e instanceof AbortError)
+        // the constraints were replayed on the origin coverage with the signal
+        assert.equal(loader.calls.length, 1)
+        assert(loader.calls[0].signal.aborted)
+        return Promise.all([
+          rejection(subset.subsetByIndex({t: 1}, {signal})),
+          rejection(subset.selectParameters(['temp'], {signal})),
+          rejection(subset.extractTimeSeries({x: 2, y: 50}, {signal}))
+        ])
+      })
+    }).then(errors => {
+      for (let e of errors) {
+        assert(e instanceof AbortError)
+      }
+      assert.equal(loader.calls.length, 1)
+    })
+  })
+})
+
+describe('cancelling domain loads', () => {
+  /**
+   * A coverage of covjson-reader, whose loadDomain() is a method of its class
+   * and which keeps its CovJSON document as _covjson. The calls of loadDomain() are counted.
+   */
+  class ReaderCoverage {
+    loadDomain () {
+      this._loadDomainCalls.count++
+      return this._domain
+    }
+  }
+
+  /**
+   * Loads the first coverage of the server as covjson-reader would do it
+   * if the domain was a separate document, which is then served by the server loader.
+   */
+  function loadCoverageWithDomainUrl (server) {
+    let serverLoad = server.load.bind(server)
+    return serverLoad(COLLECTION_URL + '/1').then(cov => {
+      let reader = new ReaderCoverage()
+      for (let key of Object.keys(cov).filter(key => key !== 'loadDomain')) {
+        reader[key] = cov[key]
+      }
+      reader._covjson = {domain: DOMAIN_URL}
+      reader._domain = cov.loadDomain()
+      reader._loadDomainCalls = {count: 0}
+      server.load = url => url === DOMAIN_URL ? reader._domain.then(domain => {
+        server.requests.push(url)
+        return domain
+      }) : serverLoad(url)
+      return {cov: reader, loadDomainCalls: () => reader._loadDomainCalls.count}
+    })
+  }
+
+  it('loads the domain with the loader and the signal if it is a separate document', () => {
+    let server = createServer({capabilities: TIME_SUBSETTING})
+    let loader = createDelayingLoader(server)
+    let controller = createAbortController()
+    loader.onCall = () => controller.abort()
+    return loadCoverageWithDomainUrl(server).then(({cov, loadDomainCalls}) => {
+      return wrap(cov, {loader: loader.load}).then(cov => rejection(cov.subsetByValue({t: T1}, {signal: controller.signal}))).then(e => {
+        assert(e instanceof AbortError)
+        assert.deepEqual(loader.calls.map(({url}) => url), [DOMAIN_URL])
+        assert(loader.calls[0].signal.aborted)
+        assert.equal(loadDomainCalls(), 0)
+      })
+    })
+  })
+
+  it('loads a separate domain only once', () => {
+    let server = createServer({capabilities: TIME_SUBSETTING})
+    let url = COLLECTION_URL + '/1?subsetTimeStart=2015-01-01T00%3A00%3A00Z&subsetTimeEnd=2015-01-01T00%3A00%3A00Z'
+    return loadCoverageWithDomainUrl(server).then(({cov, loadDomainCalls}) => {
+      return wrap(cov, {loader: server.load}).then(cov => cov.subsetByValue({t: T1}).then(() => cov.explainSubsetByValue({t: T2})).then(() => {
+        return cov.extractTimeSeries({x: 1, y: 50})
+      })).then(() => {
+        assert.deepEqual(server.requests, [COLLECTION_URL + '/1', DOMAIN_URL, url])
+        assert.equal(loadDomainCalls(), 0)
+      })
+    })
+  })
+})
@@ -0,0 +1,202 @@
+/* eslint-env mocha */
+import assert from 'assert'
+
+import {discover, URL_PROPS} from '../src/api.js'
+import {UnsupportedDocumentError, UnknownContextError} from '../src/errors.js'
+import {COLLECTION_URL, rejection} from './helpers.js'
+
+/** A collection whose control data uses reverse properties, which the built-in parser rejects */
+function createUnsupportedCollection () {
+  return {
+    id: COLLECTION_URL,
+    ld: {
+      '@context': {'member': {'@reverse': 'http://www.w3.org/ns/hydra/core#member'}},
+      '@id': COLLECTION_URL
+    }
+  }
+}
+
+/** The result of framing and compacting the control data of the collection */
+const FRAMED = {
+  '@context': {},
+  id: COLLECTION_URL,
+  api: {
+    type: 'IriTemplate',
+    template: COLLECTION_URL + '{?bbox}',
+    mapping: {variable: 'bbox', property: {id: URL_PROPS.filterBbox}}
+  }
+}
+
+/**
+ * Returns a stand-in for the jsonld.js module whose frame and compact functions return Promises,
+ * and the calls of those as array.
+ */
+function createJsonld () {
+  let calls = []
+  let jsonld = {
+    frame: (input, frame, options) => {
+      calls.push('frame')
+      return Promise.resolve(FRAMED)
+    },
+    compact: (input, context, options) => {
+      calls.push('compact')
+      return Promise.resolve(input)
+    }
+  }
+  return {jsonld, calls}
+}
+
+describe('API.discover', () => {
+  it('reads the API control data of the .ld property', () => {
+    let coll = {
+      id: COLLECTION_URL,
+      ld: {
+        '@context': ['http://www.w3.org/ns/hydra/context.jsonld', {'id': '@id', 'type': '@type', 'totalItems': 'hydra:totalItems'}],
+        id: COLLECTION_URL,
+        totalItems: 7,
+        view: {id: COLLECTION_URL, type: 'PartialCollectionView', next: COLLECTION_URL + '?page=2'}
+      }
+    }
+    return discover(coll).then(api => {
+      assert(api.isPaged)
+      assert.equal(api.paging.next, COLLECTION_URL + '?page=2')
+      assert.equal(api.paging.total, 7)
+    })
+  })
+
+  it('rejects documents which the built-in parser cannot handle without jsonld.js', () => {
+    return rejection(discover(createUnsupportedCollection())).then(e => {
+      assert(e instanceof UnsupportedDocumentError)
+    })
+  })
+
+  it('falls back to jsonld.js with the Promise-based API', () => {
+    let {jsonld, calls} = createJsonld()
+    return discover(createUnsupportedCollection(), {jsonld}).then(api => {
+      assert.deepEqual(calls, ['frame', 'compact'])
+      assert(api.supportsBboxFiltering)
+    })
+  })
+
+  it('falls back to jsonld.js with the promises API of older versions', () => {
+    let {jsonld, calls} = createJsonld()
+    let module = {
+      promises: jsonld,
+      frame: () => assert.fail('callback API used')
+    }
+    return discover(createUnsupportedCollection(), {jsonld: module}).then(api => {
+      assert.deepEqual(calls, ['frame', 'compact'])
+      assert(api.supportsBboxFiltering)
+    })
+  })
+})
+
+describe('JSON-LD contexts', () => {
+  const CONTEXT_URL = 'http://example.com/context.jsonld'
+  const NESTED_CONTEXT_URL = 'http://example.com/nested.jsonld'
+
+  // the context references the nested context which defines most terms
+  const CONTEXTS = {
+    [CONTEXT_URL]: {'@context': [NESTED_CONTEXT_URL, {'view': 'hydra:view'}]},
+    [NESTED_CONTEXT_URL]: {
+      '@context': {
+        'hydra': 'http://www.w3.org/ns/hydra/core#',
+        'id': '@id',
+        'type': '@type',
+        'total': 'hydra:totalItems',
+        'next': 'hydra:next',
+        'PartialCollectionView': 'hydra:PartialCollectionView'
+      }
+    }
+  }
+
+  function createCollection () {
+    return {
+      id: COLLECTION_URL,
+      ld: {
+        '@context': CONTEXT_URL,
+        id: COLLECTION_URL,
+        total: 7,
+        view: {id: COLLECTION_URL, type: 'PartialCollectionView', next: COLLECTION_URL + '?page=2'}
+      }
+    }
+  }
+
+  /**
+   * Returns a document loader for the contexts which records the URLs of its calls
+   * and returns jsonld.js remote documents with unparsed documents.
+   */
+  function createDocumentLoader () {
+    let loader = url => {
+      loader.calls.push(url)
+      if (!(url in CONTEXTS)) {
+        return Promise.reject(new Error('HTTP 404'))
+      }
+      return Promise.resolve({contextUrl: null, document: JSON.stringify(CONTEXTS[url]), documentUrl: url})
+    }
+    loader.calls = []
+    return loader
+  }
+
+  function assertPaged (api) {
+    assert.equal(api.paging.next, COLLECTION_URL + '?page=2')
+    assert.equal(api.paging.total, 7)
+  }
+
+  it('are read from the registry of the contexts option', () => {
+    return discover(createCollection(), {contexts: CONTEXTS}).then(assertPaged)
+  })
+
+  it('are never fetched from the network without a document loader', () => {
+    return rejection(discover(createCollection())).then(e => {
+      assert(e instanceof UnknownContextError)
+      assert.equal(e.url, CONTEXT_URL)
+    })
+  })
+
+  it('are loaded with the document loader including nested contexts', () => {
+    let documentLoader = createDocumentLoader()
+    return discover(createCollection(), {documentLoader}).then(api => {
+      assertPaged(api)
+      assert.deepEqual(documentLoader.calls, [CONTEXT_URL, NESTED_CONTEXT_URL])
+    })
+  })
+
+  it('are loaded only once per document loader', () => {
+    let documentLoader = createDocumentLoader()
+    let otherLoader = createDocumentLoader()
+    return Promise.all([
+      discover(createCollection(), {documentLoader}),
+      discover(createCollection(), {documentLoader})
+    ]).then(() => discover(createCollection(), {documentLoader})).then(() => {
+      assert.deepEqual(documentLoader.calls, [CONTEXT_URL, NESTED_CONTEXT_URL])
+      return discover(createCollection(), {documentLoader: otherLoader})
+    }).then(() => {
+      assert.deepEqual(otherLoader.calls, [CONTEXT_URL, NESTED_CONTEXT_URL])
+    })
+  })
+
+  it('are not loaded if they are in the registry', () => {
+    let documentLoader = createDocumentLoader()
+    let contexts = {[NESTED_CONTEXT_URL]: CONTEXTS[NESTED_CONTEXT_URL]}
+    return discover(createCollection(), {contexts, documentLoader}).then(api => {
+      assertPaged(api)
+      assert.deepEqual(documentLoader.calls, [CONTEXT_URL])
+    })
+  })
+
+  it('fail with the cause if the document loader fails, and are loaded again next time', () => {
+    let documentLoader = createDocumentLoader()
+    let coll = createCollection()
+    coll.ld['@context'] = [CONTEXT_URL, 'http://example.com/missing.jsonld']
+    return rejection(discover(coll, {documentLoader})).then(e => {
+      assert(e instanceof UnknownContextError)
+      assert.equal(e.url, 'http://example.com/missing.jsonld')
+      assert.equal(e.cause.message, 'HTTP 404')
+      return rejection(discover(coll, {documentLoader}))
+    }).then(() => {
+      let missingCalls = documentLoader.calls.filter(url => url === 'http://example.com/missing.jsonld')
+      assert.equal(missingCalls.length, 2)
+    })
+  })
+})
@@ -0,0 +1,185 @@
+/* eslint-env mocha */
+import assert from 'assert'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+import {Cache, MemoryStore, normalizeUrl} from '../src/client.js'
+import {FileStore} from '../src/filestore.js'
+import {T2, createServer, loadCoverage, recordEvents} from './helpers.js'
+
+const IS_NODE = typeof process !== 'undefined' && !!process.versions && !!process.versions.node
+
+/**
+ * Returns a MemoryStore which records the calls of its functions as [name, key] pairs.
+ */
+function createRecordingStore () {
+  let store = new MemoryStore()
+  store.calls = []
+  for (let name of ['get', 'set', 'delete']) {
+    let fn = store[name].bind(store)
+    store[name] = (key, ...args) => {
+      store.calls.push([name, key])
+      return fn(key, ...args)
+    }
+  }
+  return store
+}
+
+function createCountingLoader () {
+  let loader = (url, options) => {
+    loader.calls.push(url)
+    return Promise.resolve({url, format: options && options.format})
+  }
+  loader.calls = []
+  return loader
+}
+
+function wait (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+describe('normalizeUrl', () => {
+  it('normalizes the scheme, host, port, and fragment', () => {
+    assert.equal(normalizeUrl('HTTP://Example.COM:80/Coverages#top'), 'http://example.com/Coverages')
+    assert.equal(normalizeUrl('https://example.com:8443/c'), 'https://example.com:8443/c')
+  })
+
+  it('sorts query parameters by name and keeps the order of repeated ones', () => {
+    assert.equal(normalizeUrl('http://example.com/c?b=2&a=1&b=1'), 'http://example.com/c?a=1&b=2&b=1')
+  })
+
+  it('normalizes the percent-encoding', () => {
+    assert.equal(normalizeUrl('http://example.com/c?t=2015-01-01T00:00:00Z'),
+      normalizeUrl('http://example.com/c?t=2015-01-01T00%3a00%3A00Z'))
+  })
+})
+
+describe('Cache', () => {
+  it('calls the loader once for concurrent and repeated requests', () => {
+    let cache = new Cache()
+    let loader = createCountingLoader()
+    let url = 'http://example.com/c?a=1&b=2'
+    return Promise.all([cache.load(url, {}, loader), cache.load('http://EXAMPLE.com/c?b=2&a=1', {}, loader)])
+      .then(([first, second]) => {
+        assert.equal(first, second)
+        return cache.load(url, {}, loader)
+      }).then(() => {
+        assert.deepEqual(loader.calls, [url])
+      })
+  })
+
+  it('keeps entries of different formats apart', () => {
+    let cache = new Cache()
+    let loader = createCountingLoader()
+    let url = 'http://example.com/c'
+    return Promise.all([cache.load(url, {}, loader), cache.load(url, {format: 'application/netcdf'}, loader)])
+      .then(([data, netcdf]) => {
+        assert.strictEqual(data.format, undefined)
+        assert.equal(netcdf.format, 'application/netcdf')
+        assert.equal(loader.calls.length, 2)
+      })
+  })
+
+  it('does not cache failed requests', () => {
+    let cache = new Cache()
+    let calls = 0
+    let loader = () => ++calls === 1 ? Promise.reject(new Error('failed')) : Promise.resolve('data')
+    return cache.load('http://example.com/c', {}, loader).catch(() => cache.load('http://example.com/c', {}, loader))
+      .then(data => {
+        assert.equal(data, 'data')
+        assert.equal(calls, 2)
+      })
+  })
+
+  it('removes expired entries before storing the new one', () => {
+    let store = createRecordingStore()
+    let cache = new Cache({store, maxAge: 10})
+    let loader = createCountingLoader()
+    let url = 'http://example.com/c'
+    return cache.load(url, {}, loader).then(() => wait(20)).then(() => cache.load(url, {}, loader)).then(() => {
+      assert.equal(loader.calls.length, 2)
+      assert.deepEqual(store.calls, [['get', url], ['set', url], ['get', url], ['delete', url], ['set', url]])
+    })
+  })
+
+  it('treats failing stores like cache misses', () => {
+    let store = new MemoryStore()
+    store.get = () => Promise.reject(new Error('broken'))
+    store.set = () => Promise.reject(new Error('broken'))
+    let cache = new Cache({store})
+    return cache.load('http://example.com/c', {}, createCountingLoader()).then(data => {
+      assert.equal(data.url, 'http://example.com/c')
+    })
+  })
+
+  it('requires serialization for persistent stores', () => {
+    let store = new MemoryStore()
+    store.persistent = true
+    assert.throws(() => new Cache({store}), /serialize/)
+  })
+
+  it('caches requests of wrapped coverages', () => {
+    let server = createServer()
+    let {events, log} = recordEvents(['response'], true)
+    return loadCoverage(server, {cache: new Cache(), events}).then(cov => {
+      return cov.subsetByValue({t: T2}).then(() => cov.subsetByValue({t: T2}))
+    }).then(() => {
+      assert.equal(server.requests.length, 2)
+      assert.deepEqual(log.map(([type, event]) => event.cached), [false, true])
+    })
+  })
+})
+
+describe('MemoryStore', () => {
+  it('evicts the least recently used entries', () => {
+    let store = new MemoryStore({maxEntries: 2})
+    let entry = {value: 1, created: Date.now()}
+    return store.set('a', entry)
+      .then(() => store.set('b', entry))
+      .then(() => store.get('a'))
+      .then(() => store.set('c', entry))
+      .then(() => Promise.all(['a', 'b', 'c'].map(key => store.get(key))))
+      .then(entries => {
+        assert.deepEqual(entries, [entry, undefined, entry])
+      })
+  })
+})
+
+;(IS_NODE ? describe : describe.skip)('FileStore', () => {
+  let directory
+
+  beforeEach(() => {
+    directory = path.join(os.tmpdir(), 'covrest-' + Date.now() + '-' + Math.random().toString(36).substr(2), 'nested', 'cache')
+  })
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(path.dirname(directory)), {recursive: true, force: true})
+  })
+
+  it('creates missing parent directories and stores entries as files', () => {
+    let store = new FileStore({directory})
+    let entry = {value: {a: 1}, created: 123}
+    return store.set('http://example.com/c', entry)
+      .then(() => store.get('http://example.com/c'))
+      .then(stored => {
+        assert.deepEqual(stored, entry)
+        assert.equal(fs.readdirSync(directory).length, 1)
+        return store.delete('http://example.com/c')
+      })
+      .then(() => store.get('http://example.com/c'))
+      .then(stored => {
+        assert.strictEqual(stored, undefined)
+      })
+  })
+
+  it('evicts the oldest entries', () => {
+    let store = new FileStore({directory, maxEntries: 2})
+    let set = key => store.set(key, {value: key, created: Date.now()}).then(() => wait(20))
+    return set('a').then(() => set('b')).then(() => set('c'))
+      .then(() => Promise.all(['a', 'b', 'c'].map(key => store.get(key))))
+      .then(entries => {
+        assert.deepEqual(entries.map(entry => entry && entry.value), [undefined, 'b', 'c'])
+      })
+  })
+})
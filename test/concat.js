@@ -0,0 +1,56 @@
+/* eslint-env mocha */
+import assert from 'assert'
+
+import {concatCoverages} from '../src/concat.js'
+import {COLLECTION_URL, createServer} from './helpers.js'
+
+// the east and west ends of a global grid
+function loadParts () {
+  let server = createServer({
+    coverages: [
+      {axes: {y: [0], x: [120, 150, 180]}, parameters: {temp: {values: [1, 2, 3]}}},
+      {axes: {y: [0], x: [-180, -150, -120]}, parameters: {temp: {values: [3, 4, 5]}}}
+    ]
+  })
+  return Promise.all([server.load(COLLECTION_URL + '/1'), server.load(COLLECTION_URL + '/2')])
+}
+
+function getValues (cov) {
+  return Promise.all([cov.loadDomain(), cov.loadRange('temp')]).then(([domain, range]) => {
+    let xs = domain.axes.get('x').values
+    return {x: Array.from(xs), temp: xs.map((v, i) => range.get({x: i}))}
+  })
+}
+
+describe('concatCoverages', () => {
+  it('shifts the second coverage and skips the duplicate step', () => {
+    return loadParts().then(([east, west]) => concatCoverages(east, west, 'x', 360)).then(getValues).then(values => {
+      assert.deepEqual(values, {x: [120, 150, 180, 210, 240], temp: [1, 2, 3, 4, 5]})
+    })
+  })
+
+  it('subsets across both coverages', () => {
+    return loadParts().then(([east, west]) => concatCoverages(east, west, 'x', 360))
+      .then(cov => cov.subsetByIndex({x: {start: 1, stop: 4, step: 2}}))
+      .then(getValues).then(values => {
+        assert.deepEqual(values, {x: [150, 210], temp: [2, 4]})
+      })
+  })
+
+  it('shifts subsets of the second coverage only', () => {
+    let decorated = []
+    let decorate = cov => {
+      decorated.push(cov)
+      return cov
+    }
+    return loadParts().then(([east, west]) => concatCoverages(east, west, 'x', 360, decorate))
+      .then(cov => cov.subsetByIndex({x: {start: 3, stop: 4}}))
+      .then(subset => {
+        assert.equal(decorated[decorated.length - 1], subset)
+        return subset.subsetByIndex({x: 1})
+      })
+      .then(getValues).then(values => {
+        assert.deepEqual(values, {x: [240], temp: [5]})
+      })
+  })
+})
@@ -0,0 +1,83 @@
+/* eslint-env mocha */
+import assert from 'assert'
+
+import {CoverageRESTError, CapabilityError, ConstraintError, TemplateError, LoaderError, CircuitOpenError,
+  LocalFallbackError, UnsupportedDocumentError, UnknownContextError, AbortError, TimeoutError} from '../src/client.js'
+import {API, discover, URL_PROPS} from '../src/api.js'
+import {T1, COLLECTION_URL, createServer, loadCoverage, createFailingLoader, rejection} from './helpers.js'
+
+function discoverCoverageApi (capabilities) {
+  let server = createServer({capabilities})
+  return server.load(COLLECTION_URL + '/1').then(cov => discover(cov))
+}
+
+describe('errors', () => {
+  it('inherit from CoverageRESTError and Error', () => {
+    let types = [CapabilityError, ConstraintError, TemplateError, LoaderError, CircuitOpenError,
+      LocalFallbackError, UnsupportedDocumentError, UnknownContextError, AbortError, TimeoutError]
+    for (let Type of types) {
+      let e = new Type('failed', {})
+      assert(e instanceof CoverageRESTError)
+      assert(e instanceof Error)
+      assert.equal(e.name, Type.name)
+      assert.equal(e.message, 'failed')
+      assert(e.stack)
+    }
+    assert(new CircuitOpenError('open', {}) instanceof LoaderError)
+    assert(new TimeoutError('timeout', {}) instanceof AbortError)
+  })
+
+  it('carry their fields', () => {
+    let e = new ConstraintError('invalid', {axis: 'x', constraint: 3})
+    assert.equal(e.axis, 'x')
+    assert.equal(e.constraint, 3)
+  })
+
+  it('describe missing capabilities of the API', () => {
+    return discoverCoverageApi(['subsetTimeStart']).then(api => {
+      let time = {start: T1, stop: T1}
+      assert.throws(() => api.getUrl({subset: {time}}), e => {
+        assert(e instanceof CapabilityError)
+        assert.equal(e.operation, 'subset')
+        assert.equal(e.concept, 'time')
+        assert.deepEqual(e.constraint, time)
+        assert.deepEqual(e.missingUrlProperties, [URL_PROPS.subsetTimeEnd])
+        return true
+      })
+    })
+  })
+
+  it('describe unrecognized constraints', () => {
+    return discoverCoverageApi().then(api => {
+      assert.throws(() => api.getUrl({subset: {depth: 10}}), e => {
+        assert(e instanceof ConstraintError)
+        assert.equal(e.operation, 'subset')
+        assert.equal(e.concept, 'depth')
+        assert.equal(e.constraint, 10)
+        return true
+      })
+    })
+  })
+
+  it('describe missing URL templates', () => {
+    assert.throws(() => new API().getUrl({subset: {}}), TemplateError)
+  })
+
+  it('describe constraints outside of the axis extent', () => {
+    return loadCoverage(createServer()).then(cov => rejection(cov.subsetByValue({x: {start: 10, stop: 20}}))).then(e => {
+      assert(e instanceof ConstraintError)
+      assert.equal(e.axis, 'x')
+      assert.deepEqual(e.constraint, {start: 10, stop: 20})
+    })
+  })
+
+  it('describe failed requests', () => {
+    let server = createServer()
+    let loader = createFailingLoader(server, 500)
+    return loadCoverage(server, {loader: loader.load}).then(cov => rejection(cov.subsetByValue({t: T1}))).then(e => {
+      assert(e instanceof LoaderError)
+      assert.equal(e.url, COLLECTION_URL + '/1?subsetTimeStart=2015-01-01T00%3A00%3A00Z&subsetTimeEnd=2015-01-01T00%3A00%3A00Z')
+      assert.equal(e.cause.status, 500)
+    })
+  })
+})
@@ -0,0 +1,88 @@
+/* eslint-env mocha */
+import assert from 'assert'
+
+import {Cache} from '../src/client.js'
+import {T1, T2, COLLECTION_URL, createServer, loadCoverage, loadCollection, createFailingLoader, recordEvents} from './helpers.js'
+
+const LOAD_EVENTS = ['request', 'response', 'error', 'retry']
+const TIME_SUBSETTING = ['subsetTimeStart', 'subsetTimeEnd']
+const T2_URL = COLLECTION_URL + '/1?subsetTimeStart=2015-01-02T00%3A00%3A00Z&subsetTimeEnd=2015-01-02T00%3A00%3A00Z'
+
+describe('events', () => {
+  it('emits request and response events for each request', () => {
+    let server = createServer({capabilities: TIME_SUBSETTING})
+    let {events, log} = recordEvents(LOAD_EVENTS, true)
+    return loadCoverage(server, {events}).then(cov => cov.subsetByValue({t: T2}, {format: 'application/prs.coverage+json'})).then(() => {
+      assert.deepEqual(log.map(([type]) => type), ['request', 'response'])
+      let [[, request], [, response]] = log
+      assert.equal(request.url, T2_URL)
+      assert.equal(request.format, 'application/prs.coverage+json')
+      assert.equal(response.url, T2_URL)
+      assert.equal(typeof response.duration, 'number')
+      assert.strictEqual(response.cached, false)
+    })
+  })
+
+  it('emits no request event for data from the cache', () => {
+    let server = createServer({capabilities: TIME_SUBSETTING})
+    let {events, log} = recordEvents(LOAD_EVENTS, true)
+    return loadCoverage(server, {events, cache: new Cache()}).then(cov => {
+      return cov.subsetByValue({t: T2}).then(() => cov.subsetByValue({t: T2}))
+    }).then(() => {
+      assert.deepEqual(log.map(([type, event]) => [type, event.cached]), [
+        ['request', undefined],
+        ['response', false],
+        ['response', true]
+      ])
+    })
+  })
+
+  it('emits request and error events for each attempt', () => {
+    let server = createServer({capabilities: TIME_SUBSETTING})
+    let loader = createFailingLoader(server, 503, 1)
+    let {events, log} = recordEvents(LOAD_EVENTS, true)
+    let policy = {retries: 1, retryDelay: 1}
+    return loadCoverage(server, {events, loader: loader.load, policy}).then(cov => cov.subsetByValue({t: T2})).then(() => {
+      assert.deepEqual(log.map(([type]) => type), ['request', 'error', 'retry', 'request', 'response'])
+      let error = log[1][1]
+      assert.equal(error.url, T2_URL)
+      assert.equal(error.error.status, 503)
+      assert.equal(typeof error.duration, 'number')
+    })
+  })
+
+  it('emits discover events when the API was discovered', () => {
+    let server = createServer()
+    let {events, log} = recordEvents(['discover'], true)
+    return loadCoverage(server, {events}).then(() => {
+      assert.equal(log.length, 1)
+      let [type, event] = log[0]
+      assert.equal(type, 'discover')
+      assert.equal(event.id, COLLECTION_URL + '/1')
+      assert(event.api.hasUrlTemplate)
+      assert.equal(typeof event.duration, 'number')
+    })
+  })
+
+  it('emits localFallback events when constraints are applied locally', () => {
+    let server = createServer({capabilities: TIME_SUBSETTING})
+    let {events, log} = recordEvents(['localFallback'], true)
+    return loadCoverage(server, {events}).then(cov => {
+      return cov.subsetByValue({t: T1}).then(() => cov.subsetByValue({x: 2})).then(() => cov.selectParameters(['temp']))
+    }).then(() => {
+      assert.deepEqual(log.map(([type, event]) => event.method), ['subsetByValue', 'selectParameters'])
+      let {plan} = log[0][1]
+      assert.deepEqual(plan.local.subset, {x: 2})
+      assert(plan.reasons.subset.x)
+    })
+  })
+
+  it('emits localFallback events for collection queries', () => {
+    let server = createServer({capabilities: []})
+    let {events, log} = recordEvents(['localFallback'], true)
+    return loadCollection(server, {events}).then(coll => coll.query().filter({t: {start: T1, stop: T1}}).execute()).then(() => {
+      assert.deepEqual(log.map(([type, event]) => event.method), ['query'])
+      assert.deepEqual(log[0][1].plan.local.filter, {t: {start: T1, stop: T1}})
+    })
+  })
+})
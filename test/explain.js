@@ -0,0 +1,65 @@
+/* eslint-env mocha */
+import assert from 'assert'
+
+import {T1, T2, COLLECTION_URL, createServer, loadCoverage, loadCollection} from './helpers.js'
+
+const TIME_SUBSETTING = ['subsetTimeStart', 'subsetTimeEnd']
+const TIME_FILTERING = ['filterTimeStart', 'filterTimeEnd']
+
+describe('explaining subsets', () => {
+  it('plans supported constraints for the server and the others locally', () => {
+    let server = createServer({capabilities: TIME_SUBSETTING})
+    return loadCoverage(server).then(cov => cov.explainSubsetByValue({t: T1, x: {start: 1, stop: 2}})).then(plan => {
+      assert.equal(plan.url, COLLECTION_URL + '/1?subsetTimeStart=2015-01-01T00%3A00%3A00Z&subsetTimeEnd=2015-01-01T00%3A00%3A00Z')
+      assert.deepEqual(plan.server.subset, {time: {start: T1, stop: T1}})
+      assert.deepEqual(plan.local.subset, {x: {start: 1, stop: 2}})
+      assert.strictEqual(plan.reasons.subset.t.server, true)
+      assert.strictEqual(plan.reasons.subset.x.server, false)
+      assert(plan.localSize > 0)
+    })
+  })
+
+  it('does not load anything', () => {
+    let server = createServer({capabilities: TIME_SUBSETTING})
+    return loadCoverage(server).then(cov => cov.explainSubsetByIndex({t: 1, x: {start: 0, stop: 1}})).then(plan => {
+      assert.deepEqual(server.requests, [COLLECTION_URL + '/1'])
+      assert.deepEqual(plan.local.subset, {x: {start: 0, stop: 1}})
+    })
+  })
+
+  it('matches the execution of the subset', () => {
+    let server = createServer({capabilities: TIME_SUBSETTING})
+    let constraints = {t: T1, x: {start: 1, stop: 2}}
+    return loadCoverage(server).then(cov => {
+      return Promise.all([cov.explainSubsetByValue(constraints), cov.subsetByValue(constraints)])
+    }).then(([plan, subset]) => {
+      assert.equal(server.requests[server.requests.length - 1], plan.url)
+      return subset.loadDomain()
+    }).then(domain => {
+      assert.deepEqual(domain.axes.get('t').values, [T1])
+      assert.deepEqual(Array.from(domain.axes.get('x').values), [1, 2])
+    })
+  })
+
+  it('uses the server for all constraints if supported', () => {
+    return loadCoverage(createServer()).then(cov => cov.explainSubsetByValue({t: T2, x: {start: 2, stop: 3}})).then(plan => {
+      assert(plan.url)
+      assert.deepEqual(plan.local.subset, {})
+      assert.equal(plan.localSize, 0)
+    })
+  })
+})
+
+describe('explaining queries', () => {
+  it('plans supported filters for the server and the others locally', () => {
+    let server = createServer({capabilities: TIME_FILTERING})
+    return loadCollection(server).then(coll => coll.query().filter({t: {start: T1, stop: T1}, x: {start: 3, stop: 4}}).explain()).then(plan => {
+      assert.equal(plan.url, COLLECTION_URL + '?filterTimeStart=2015-01-01T00%3A00%3A00Z&filterTimeEnd=2015-01-01T00%3A00%3A00Z')
+      assert.deepEqual(plan.server.filter, {time: {start: T1, stop: T1}})
+      assert.deepEqual(plan.local.filter, {x: {start: 3, stop: 4}})
+      assert.strictEqual(plan.reasons.filter.t.server, true)
+      assert.strictEqual(plan.reasons.filter.x.server, false)
+      assert.deepEqual(server.requests, [COLLECTION_URL])
+    })
+  })
+})
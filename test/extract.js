@@ -0,0 +1,73 @@
+/* eslint-env mocha */
+import assert from 'assert'
+
+import {ConstraintError} from '../src/client.js'
+import {T1, T2, COLLECTION_URL, createServer, loadCoverage, rejection} from './helpers.js'
+
+function getDomainValues (cov) {
+  return cov.loadDomain().then(domain => {
+    let values = {}
+    for (let [axis, {values: vals}] of domain.axes) {
+      values[axis] = Array.from(vals)
+    }
+    return values
+  })
+}
+
+describe('extracting points, time series, and profiles', () => {
+  it('extracts time series via position subsetting of the API', () => {
+    let server = createServer({capabilities: ['subsetPosition']})
+    return loadCoverage(server).then(cov => cov.extractTimeSeries({x: 2.2, y: 50.6})).then(series => {
+      assert.deepEqual(server.requests.slice(1), [COLLECTION_URL + '/1?subsetPosition=2.2%2C50.6'])
+      return getDomainValues(series)
+    }).then(values => {
+      assert.deepEqual(values, {t: [T1, T2], y: [51], x: [2]})
+    })
+  })
+
+  it('extracts points via target subsetting of the API', () => {
+    let server = createServer({capabilities: ['subsetPosition', 'subsetTimeTarget']})
+    return loadCoverage(server).then(cov => cov.extractPoint({x: 1, y: 50, time: '2015-01-01T18:00:00Z'})).then(point => {
+      assert.deepEqual(server.requests.slice(1),
+        [COLLECTION_URL + '/1?subsetPosition=1%2C50&subsetTimeTarget=2015-01-01T18%3A00%3A00Z'])
+      return getDomainValues(point)
+    }).then(values => {
+      assert.deepEqual(values, {t: [T2], y: [50], x: [1]})
+    })
+  })
+
+  it('emulates targets via start/stop subsetting', () => {
+    let server = createServer({capabilities: ['subsetBbox']})
+    return loadCoverage(server).then(cov => cov.extractTimeSeries({x: 2.8, y: 50.2})).then(series => {
+      assert.deepEqual(server.requests.slice(1), [COLLECTION_URL + '/1?subsetBbox=3%2C50%2C3%2C50'])
+      return getDomainValues(series)
+    }).then(values => {
+      assert.deepEqual(values, {t: [T1, T2], y: [50], x: [3]})
+    })
+  })
+
+  it('extracts locally without API support', () => {
+    let server = createServer({capabilities: []})
+    return loadCoverage(server).then(cov => cov.extractPoint({x: 3, y: 51, time: T1})).then(point => {
+      assert.deepEqual(server.requests, [COLLECTION_URL + '/1'])
+      return Promise.all([getDomainValues(point), point.loadRange('temp')])
+    }).then(([values, range]) => {
+      assert.deepEqual(values, {t: [T1], y: [51], x: [3]})
+      assert.equal(range.get({t: 0, y: 0, x: 0}), 2)
+    })
+  })
+
+  it('rejects positions which do not match the axes', () => {
+    return loadCoverage(createServer()).then(cov => Promise.all([
+      rejection(cov.extractProfile({x: 1, y: 50})),
+      rejection(cov.extractPoint({x: 1})),
+      rejection(cov.extractTimeSeries({x: 1, y: 50, time: T1}))
+    ])).then(errors => {
+      for (let e of errors) {
+        assert(e instanceof ConstraintError)
+      }
+      assert.equal(errors[0].concept, 'vertical')
+      assert.equal(errors[2].concept, 'time')
+    })
+  })
+})
@@ -0,0 +1,73 @@
+/* eslint-env mocha */
+import assert from 'assert'
+
+import {LocalFallbackError} from '../src/client.js'
+import {T1, createServer, loadCoverage, recordEvents, rejection} from './helpers.js'
+
+const TIME_SUBSETTING = ['subsetTimeStart', 'subsetTimeEnd']
+
+describe('restricting local fallbacks', () => {
+  it('rejects local subsets with localFallback: server-only', () => {
+    let server = createServer({capabilities: TIME_SUBSETTING})
+    return loadCoverage(server, {localFallback: 'server-only'}).then(cov => {
+      return rejection(cov.subsetByValue({t: T1, x: {start: 1, stop: 2}}))
+    }).then(e => {
+      assert(e instanceof LocalFallbackError)
+      assert.deepEqual(e.plan.local.subset, {x: {start: 1, stop: 2}})
+      assert.equal(server.requests.length, 1)
+    })
+  })
+
+  it('emits a warning with localFallback: warn', () => {
+    let server = createServer({capabilities: TIME_SUBSETTING})
+    let {events, log} = recordEvents(['warning', 'localFallback'], true)
+    return loadCoverage(server, {localFallback: 'warn', events}).then(cov => cov.subsetByValue({t: T1, x: 2})).then(() => {
+      assert.deepEqual(log.map(([type]) => type), ['warning', 'localFallback'])
+      let [, warning] = log[0]
+      assert(warning.message.indexOf('x') !== -1)
+      assert.equal(warning.plan.localSize, 12)
+    })
+  })
+
+  it('rejects local subsets above the budget', () => {
+    let server = createServer({capabilities: TIME_SUBSETTING})
+    let constraints = {t: T1, x: 2}
+    return Promise.all([
+      loadCoverage(server, {localFallbackBudget: 12}).then(cov => cov.subsetByValue(constraints)),
+      loadCoverage(server, {localFallbackBudget: 11}).then(cov => rejection(cov.subsetByValue(constraints)))
+    ]).then(([subset, e]) => {
+      assert(e instanceof LocalFallbackError)
+      assert(e.message.indexOf('budget of 11') !== -1)
+    })
+  })
+
+  it('checks local parameter selections', () => {
+    let server = createServer({capabilities: TIME_SUBSETTING})
+    let {events, log} = recordEvents(['localFallback'], true)
+    return Promise.all([
+      loadCoverage(server, {events}).then(cov => cov.selectParameters(['temp'])),
+      loadCoverage(server, {localFallback: 'server-only'}).then(cov => rejection(cov.selectParameters(['temp'])))
+    ]).then(([selected, e]) => {
+      assert.equal(log.length, 1)
+      assert.equal(log[0][1].method, 'selectParameters')
+      assert.deepEqual(log[0][1].plan.local.subset, {parameters: ['temp']})
+      assert(e instanceof LocalFallbackError)
+      assert.equal(e.plan.localSize, 24)
+    })
+  })
+
+  it('checks subsets of local subsets which cannot be replayed on the origin coverage', () => {
+    let server = createServer({capabilities: TIME_SUBSETTING})
+    let {events, log} = recordEvents(['warning', 'localFallback'], true)
+    return loadCoverage(server, {localFallback: 'warn', events})
+      .then(cov => cov.subsetByValue({t: T1, x: {start: 1, stop: 3}}))
+      .then(subset => subset.subsetByIndex({x: {start: 0, stop: 2, step: 2}}))
+      .then(() => {
+        assert.deepEqual(log.map(([type, event]) => type + ' ' + (event.method || '')),
+          ['warning ', 'localFallback subsetByValue', 'warning ', 'localFallback subsetByIndex'])
+        let plan = log[3][1].plan
+        assert.equal(plan.reasons.subset.x.reason, 'steps cannot be replayed on the origin coverage')
+        assert.equal(plan.localSize, 12)
+      })
+  })
+})
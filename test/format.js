@@ -0,0 +1,85 @@
+/* eslint-env mocha */
+import assert from 'assert'
+
+import {wrap} from '../src/client.js'
+import {URL_PROPS} from '../src/api.js'
+import {T2, COLLECTION_URL, createServer} from './helpers.js'
+
+const NETCDF = 'application/netcdf'
+const TIME_SUBSETTING = ['subsetTimeStart', 'subsetTimeEnd']
+
+/**
+ * Returns a loader for NetCDF which records the URLs and formats of its calls,
+ * and loads the coverage from the server without the format URL parameter or file extension.
+ */
+function createNetcdfLoader (server) {
+  let loader = (url, options) => {
+    loader.calls.push([url, options.format])
+    return server.load(url.replace(/[?&]format=[^&]*$/, '').replace(/\.nc$/, ''))
+  }
+  loader.calls = []
+  return loader
+}
+
+/**
+ * Loads the first coverage of the server, adapts it with the given function,
+ * and wraps it with a NetCDF loader.
+ */
+function loadCoverage (server, adapt = () => {}) {
+  let netcdf = createNetcdfLoader(server)
+  return server.load(COLLECTION_URL + '/1').then(cov => {
+    adapt(cov)
+    return wrap(cov, {loader: server.loader, loaders: {[NETCDF]: netcdf}})
+  }).then(cov => ({cov, netcdf}))
+}
+
+describe('loading data in other formats', () => {
+  it('passes the format to the loader registered for it', () => {
+    let server = createServer({capabilities: TIME_SUBSETTING})
+    let url = COLLECTION_URL + '/1?subsetTimeStart=2015-01-02T00%3A00%3A00Z&subsetTimeEnd=2015-01-02T00%3A00%3A00Z'
+    return loadCoverage(server).then(({cov, netcdf}) => cov.subsetByValue({t: T2}, {format: NETCDF}).then(() => {
+      assert.deepEqual(netcdf.calls, [[url, NETCDF]])
+      assert.deepEqual(server.requests.slice(1), [url])
+    }))
+  })
+
+  it('includes the format in the URL if the URL template has a format mapping', () => {
+    let server = createServer({capabilities: TIME_SUBSETTING})
+    let addFormatMapping = ({ld}) => {
+      ld.api.template = ld.api.template.replace('}', ',format}')
+      ld.api.mapping.push({type: 'IriTemplateMapping', variable: 'format', property: URL_PROPS.format, required: false})
+    }
+    return loadCoverage(server, addFormatMapping).then(({cov, netcdf}) => {
+      return cov.subsetByValue({t: T2}, {format: NETCDF}).then(() => {
+        assert.deepEqual(netcdf.calls, [[COLLECTION_URL +
+          '/1?subsetTimeStart=2015-01-02T00%3A00%3A00Z&subsetTimeEnd=2015-01-02T00%3A00%3A00Z&format=application%2Fnetcdf', NETCDF]])
+      })
+    })
+  })
+
+  it('loads whole coverages via Link alternates', () => {
+    let server = createServer({capabilities: TIME_SUBSETTING})
+    let addAlternate = ({ld}) => {
+      ld['http://www.iana.org/assignments/relation/alternate'] = {
+        '@id': COLLECTION_URL + '/1.nc',
+        'http://purl.org/dc/terms/format': NETCDF
+      }
+    }
+    return loadCoverage(server, addAlternate).then(({cov, netcdf}) => {
+      return cov.subsetByValue({}, {format: NETCDF}).then(() => {
+        assert.deepEqual(netcdf.calls, [[COLLECTION_URL + '/1.nc', NETCDF]])
+      })
+    })
+  })
+
+  it('does not load fully loaded coverages again', () => {
+    let server = createServer({capabilities: TIME_SUBSETTING})
+    return loadCoverage(server, cov => { cov.loaded = true }).then(({cov, netcdf}) => {
+      return Promise.all([cov.subsetByValue({}, {format: NETCDF}), cov.subsetByValue({t: T2}, {format: NETCDF})]).then(([whole]) => {
+        assert.equal(whole, cov)
+        assert.deepEqual(netcdf.calls, [])
+        assert.deepEqual(server.requests, [COLLECTION_URL + '/1'])
+      })
+    })
+  })
+})
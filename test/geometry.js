@@ -0,0 +1,94 @@
+/* eslint-env mocha */
+import assert from 'assert'
+
+import {ConstraintError} from '../src/client.js'
+import {checkGeometry, intersectsBbox} from '../src/geometry.js'
+import {T1, COLLECTION_URL, createServer, loadCollection, coverageNumbers} from './helpers.js'
+
+const SQUARE = [-1, -1, 1, 1]
+
+describe('geometry', () => {
+  it('checks geometries', () => {
+    let invalid = [
+      null,
+      {},
+      {polygon: [[0, 0], [1, 1]]},
+      {polygon: [[0, 0], [1, 1], [0, 0]]},
+      {polygon: [[0, 0], [1, 'a'], [1, 1]]},
+      {lon: 0, radius: 10},
+      {lon: 0, lat: 0, radius: -1}
+    ]
+    for (let geometry of invalid) {
+      assert.throws(() => checkGeometry(geometry), ConstraintError)
+    }
+    checkGeometry({polygon: [[0, 0], [1, 0], [1, 1]]})
+    checkGeometry({lon: 0, lat: 0, radius: 0})
+  })
+
+  it('intersects polygons with bounding boxes', () => {
+    // a vertex inside the box
+    assert(intersectsBbox({polygon: [[0, 0], [5, 0], [5, 5]]}, SQUARE))
+    // the box inside the polygon
+    assert(intersectsBbox({polygon: [[-5, -5], [5, -5], [5, 5], [-5, 5]]}, SQUARE))
+    // crossing edges only
+    assert(intersectsBbox({polygon: [[-5, -0.5], [5, -0.5], [5, 0.5], [-5, 0.5]]}, SQUARE))
+    assert(!intersectsBbox({polygon: [[2, 2], [5, 2], [5, 5]]}, SQUARE))
+  })
+
+  it('intersects circles with bounding boxes', () => {
+    // one degree of latitude is about 111 km
+    assert(intersectsBbox({lon: 0, lat: 2, radius: 120000}, SQUARE))
+    assert(!intersectsBbox({lon: 0, lat: 2, radius: 100000}, SQUARE))
+    assert(intersectsBbox({lon: 0.5, lat: 0.5, radius: 0}, SQUARE))
+  })
+})
+
+describe('filtering collections by geometry', () => {
+  // the coverage with number i is at lon i and lat 50
+  function createStationServer (capabilities) {
+    let coverages = [1, 2, 3, 4, 5].map(i => ({axes: {t: [T1], y: [50], x: [i]}, parameters: {temp: {values: [i]}}}))
+    return createServer({coverages, capabilities})
+  }
+
+  const POLYGON = [[1.5, 49], [3.5, 49], [3.5, 51], [1.5, 51]]
+
+  it('filters by polygon via the API', () => {
+    let server = createStationServer(['filterGeometry'])
+    return loadCollection(server).then(coll => coll.query().filter({geometry: {polygon: POLYGON}}).execute()).then(result => {
+      assert.equal(server.requests[1],
+        COLLECTION_URL + '?filterGeometry=POLYGON%28%281.5%2049%2C3.5%2049%2C3.5%2051%2C1.5%2051%2C1.5%2049%29%29')
+      assert.equal(coverageNumbers(result), '2,3')
+    })
+  })
+
+  it('filters by point and radius via the API', () => {
+    let server = createStationServer(['filterLat', 'filterLon', 'filterRadius'])
+    let geometry = {lon: 4.1, lat: 50, radius: 20000}
+    return loadCollection(server).then(coll => coll.query().filter({geometry}).execute()).then(result => {
+      assert.equal(server.requests[1], COLLECTION_URL + '?filterLat=50&filterLon=4.1&filterRadius=20000')
+      assert.equal(coverageNumbers(result), '4')
+    })
+  })
+
+  it('filters by the domain extents locally without API support', () => {
+    let server = createStationServer([])
+    return loadCollection(server).then(coll => Promise.all([
+      coll.query().filter({geometry: {polygon: POLYGON}}).execute(),
+      coll.query().filter({geometry: {lon: 4.1, lat: 50, radius: 20000}}).execute()
+    ])).then(([polygonResult, circleResult]) => {
+      assert.deepEqual(server.requests, [COLLECTION_URL])
+      assert.equal(coverageNumbers(polygonResult), '2,3')
+      assert.equal(coverageNumbers(circleResult), '4')
+    })
+  })
+
+  it('rejects invalid geometries', () => {
+    return loadCollection(createStationServer()).then(coll => {
+      assert.throws(() => coll.query().filter({geometry: {polygon: []}}), e => {
+        assert(e instanceof ConstraintError)
+        assert.equal(e.concept, 'geometry')
+        return true
+      })
+    })
+  })
+})
@@ -0,0 +1,110 @@
+import assert from 'assert'
+
+import {wrap, EventEmitter} from '../src/client.js'
+import {MemoryAPI} from '../src/memoryapi.js'
+
+/*
+ * Fixtures shared by the specs, based on the in-memory API stand-in.
+ */
+
+export const COLLECTION_URL = 'http://example.com/coverages'
+
+export const T1 = '2015-01-01T00:00:00Z'
+export const T2 = '2015-01-02T00:00:00Z'
+
+/**
+ * Returns a coverage specification (see MemoryAPI) of a grid with the axes
+ * t: [T1, T2], y: [50, 51], and x: [1, 2, 3], where the parameter values are the x and y indices.
+ */
+export function createGrid () {
+  return {
+    axes: {t: [T1, T2], y: [50, 51], x: [1, 2, 3]},
+    parameters: {
+      temp: {values: obj => obj.x, observedProperty: 'http://example.com/temp'},
+      salinity: {values: obj => obj.y, observedProperty: 'http://example.com/salinity'}
+    }
+  }
+}
+
+/**
+ * Returns a MemoryAPI for the given coverages (by default a single grid, see createGrid()).
+ *
+ * @param {object} [options] Further options of the MemoryAPI, e.g. capabilities.
+ */
+export function createServer (options = {}) {
+  return new MemoryAPI(Object.assign({url: COLLECTION_URL, coverages: [createGrid()]}, options))
+}
+
+/**
+ * Loads a coverage of the server and wraps it with the loader of the server.
+ *
+ * @param {MemoryAPI} server The server.
+ * @param {object} [options] Further wrap options.
+ * @param {number} [index=1] The number of the coverage in the collection.
+ */
+export function loadCoverage (server, options, index = 1) {
+  return server.load(server.url + '/' + index).then(cov => wrap(cov, getWrapOptions(server, options)))
+}
+
+/**
+ * Loads the collection of the server and wraps it with the loader of the server.
+ */
+export function loadCollection (server, options) {
+  return server.load(server.url).then(coll => wrap(coll, getWrapOptions(server, options)))
+}
+
+function getWrapOptions (server, options) {
+  return Object.assign({loader: server.loader}, options)
+}
+
+/**
+ * Returns a loader for the server whose first requests fail with the given HTTP status,
+ * as many as the failures property of the returned object says.
+ * The number of loader calls is recorded in the attempts property.
+ */
+export function createFailingLoader (server, status, failures = Infinity) {
+  let loader = {
+    failures,
+    attempts: 0,
+    load: url => {
+      loader.attempts++
+      if (loader.attempts > loader.failures) {
+        return server.load(url)
+      }
+      let e = new Error('HTTP ' + status)
+      e.status = status
+      return Promise.reject(e)
+    }
+  }
+  return loader
+}
+
+/**
+ * Returns an EventEmitter for the events wrap option together with an array
+ * which records the types of the given events, or [type, event] pairs if full is true.
+ */
+export function recordEvents (types, full = false) {
+  let events = new EventEmitter()
+  let log = []
+  for (let type of types) {
+    events.on(type, event => log.push(full ? [type, event] : type))
+  }
+  return {events, log}
+}
+
+/**
+ * Returns the numbers of the coverages of a collection as comma-separated string, e.g. '1,3'.
+ */
+export function coverageNumbers (collection) {
+  return collection.coverages.map(cov => cov.id.substr(cov.id.lastIndexOf('/') + 1)).join(',')
+}
+
+/**
+ * Returns a Promise succeeding with the error the given Promise fails with,
+ * or failing if it succeeds.
+ */
+export function rejection (promise) {
+  return promise.then(() => {
+    assert.fail('the Promise should have been rejected')
+  }, e => e)
+}
@@ -0,0 +1,192 @@
+/* eslint-env mocha */
+import assert from 'assert'
+
+import {extract, expand} from '../src/ldprofile.js'
+import {UnsupportedDocumentError, UnknownContextError} from '../src/errors.js'
+import {COLLECTION_URL} from './helpers.js'
+
+const HYDRA = 'http://www.w3.org/ns/hydra/core#'
+const COVAPI = 'http://coverageapi.org/ns#'
+const IANA = 'http://www.iana.org/assignments/relation/'
+const BBOX = 'http://a9.com/-/opensearch/extensions/geo/1.0/box'
+
+const PAGE_URL = COLLECTION_URL + '?page=2'
+const TEMPLATE_URL = COLLECTION_URL + '#api'
+
+/** The data which is extracted from the documents below */
+const EXTRACTED = {
+  id: COLLECTION_URL,
+  totalItems: 7,
+  view: {id: PAGE_URL, type: 'PartialCollectionView', first: COLLECTION_URL + '?page=1', next: COLLECTION_URL + '?page=3'},
+  api: {
+    id: TEMPLATE_URL,
+    type: 'IriTemplate',
+    template: COLLECTION_URL + '{?bbox}',
+    mapping: [{variable: 'bbox', property: {id: BBOX}, required: false}]
+  }
+}
+
+function createCompactedDocument () {
+  return {
+    '@context': [
+      'http://www.w3.org/ns/hydra/context.jsonld',
+      {
+        'id': '@id',
+        'type': '@type',
+        'covapi': COVAPI,
+        'api': 'covapi:api',
+        'opensearchgeo': 'http://a9.com/-/opensearch/extensions/geo/1.0/'
+      }
+    ],
+    id: COLLECTION_URL,
+    totalItems: 7,
+    view: {id: PAGE_URL, type: 'PartialCollectionView', first: COLLECTION_URL + '?page=1', next: COLLECTION_URL + '?page=3'},
+    api: {
+      id: TEMPLATE_URL,
+      type: 'IriTemplate',
+      template: COLLECTION_URL + '{?bbox}',
+      mapping: [{type: 'IriTemplateMapping', variable: 'bbox', property: 'opensearchgeo:box', required: false}]
+    }
+  }
+}
+
+function createExpandedDocument () {
+  return [{
+    '@id': COLLECTION_URL,
+    [HYDRA + 'totalItems']: [{'@value': 7}],
+    [HYDRA + 'view']: [{
+      '@id': PAGE_URL,
+      '@type': [HYDRA + 'PartialCollectionView'],
+      [HYDRA + 'first']: [{'@id': COLLECTION_URL + '?page=1'}],
+      [HYDRA + 'next']: [{'@id': COLLECTION_URL + '?page=3'}]
+    }],
+    [COVAPI + 'api']: [{
+      '@id': TEMPLATE_URL,
+      '@type': [HYDRA + 'IriTemplate'],
+      [HYDRA + 'template']: [{'@value': COLLECTION_URL + '{?bbox}'}],
+      [HYDRA + 'mapping']: [{
+        '@type': [HYDRA + 'IriTemplateMapping'],
+        [HYDRA + 'variable']: [{'@value': 'bbox'}],
+        [HYDRA + 'property']: [{'@id': BBOX}],
+        [HYDRA + 'required']: [{'@value': false}]
+      }]
+    }]
+  }]
+}
+
+describe('extracting API control data from JSON-LD', () => {
+  it('reads compacted documents with remote and inline contexts', () => {
+    assert.deepEqual(extract(createCompactedDocument(), COLLECTION_URL), EXTRACTED)
+  })
+
+  it('reads expanded documents', () => {
+    assert.deepEqual(extract(createExpandedDocument(), COLLECTION_URL), EXTRACTED)
+  })
+
+  it('reads paging data derived from Link headers', () => {
+    let ld = {
+      '@id': COLLECTION_URL,
+      [IANA + 'next']: {'@id': COLLECTION_URL + '?page=3'},
+      [IANA + 'prev']: {'@id': COLLECTION_URL + '?page=1'},
+      [IANA + 'alternate']: {'@id': COLLECTION_URL + '.nc', 'http://purl.org/dc/terms/format': 'application/netcdf'}
+    }
+    assert.deepEqual(extract(ld, COLLECTION_URL), {
+      id: COLLECTION_URL,
+      view: {type: 'PartialCollectionView', next: COLLECTION_URL + '?page=3', previous: COLLECTION_URL + '?page=1'},
+      alternate: [{id: COLLECTION_URL + '.nc', format: 'application/netcdf'}]
+    })
+  })
+
+  it('returns only the id for documents without data about the resource', () => {
+    assert.deepEqual(extract(createCompactedDocument(), COLLECTION_URL + '/1'), {id: COLLECTION_URL + '/1'})
+  })
+
+  it('rejects unknown remote contexts', () => {
+    let ld = createCompactedDocument()
+    ld['@context'][0] = 'http://example.com/context.jsonld'
+    let error
+    try {
+      extract(ld, COLLECTION_URL)
+    } catch (e) {
+      error = e
+    }
+    assert(error instanceof UnknownContextError)
+    assert.equal(error.url, 'http://example.com/context.jsonld')
+  })
+
+  it('rejects documents using unsupported JSON-LD features', () => {
+    let withContext = context => Object.assign(createCompactedDocument(), {'@context': context})
+    let documents = [
+      withContext({'member': {'@reverse': HYDRA + 'member'}}),
+      withContext({'member': {'@id': HYDRA + 'member', '@container': '@language'}}),
+      withContext({'@propagate': true}),
+      Object.assign(createCompactedDocument(), {'@reverse': {[HYDRA + 'member']: {'@id': COLLECTION_URL + '/1'}}})
+    ]
+    for (let ld of documents) {
+      assert.throws(() => extract(ld, COLLECTION_URL), UnsupportedDocumentError)
+    }
+  })
+})
+
+describe('API control data in named graphs', () => {
+  const COVERAGE_URL = COLLECTION_URL + '/1'
+
+  it('combines data of named graphs with data of the default graph', () => {
+    let {'@context': context, totalItems, view, api} = createCompactedDocument()
+    let ld = {
+      '@context': context,
+      '@graph': [
+        {id: COLLECTION_URL, totalItems, view},
+        {id: COLLECTION_URL, '@graph': [{id: COLLECTION_URL, api}]}
+      ]
+    }
+    assert.deepEqual(extract(ld, COLLECTION_URL), EXTRACTED)
+  })
+
+  it('finds data in graphs named by other resources', () => {
+    let ld = {
+      '@context': createCompactedDocument()['@context'],
+      '@graph': [
+        {id: COLLECTION_URL, totalItems: 7},
+        {id: COVERAGE_URL, '@graph': [{id: COVERAGE_URL, api: {id: COVERAGE_URL + '#api', type: 'IriTemplate', template: COVERAGE_URL + '{?bbox}'}}]}
+      ]
+    }
+    assert.equal(extract(ld, COVERAGE_URL).api.template, COVERAGE_URL + '{?bbox}')
+  })
+
+  it('prefers single values of the default graph', () => {
+    let ld = {
+      '@context': createCompactedDocument()['@context'],
+      '@graph': [
+        {id: COVERAGE_URL, '@graph': [{id: COLLECTION_URL, totalItems: 5}]},
+        {id: COLLECTION_URL, totalItems: 7}
+      ]
+    }
+    assert.equal(extract(ld, COLLECTION_URL).totalItems, 7)
+  })
+})
+
+describe('blank nodes', () => {
+  it('keeps blank nodes without @id apart from blank nodes with @id', () => {
+    let ld = [
+      {'http://example.com/value': 'a'},
+      {'@id': '_:b0', 'http://example.com/value': 'b'}
+    ]
+    let nodes = expand(ld)['@default']
+    let values = Object.keys(nodes).map(id => nodes[id]['http://example.com/value'].map(val => val['@value']))
+    assert.deepEqual(values, [['a'], ['b']])
+  })
+
+  it('resolves references to blank nodes with @id', () => {
+    let ld = createCompactedDocument()
+    ld.api.id = '_:b0'
+    ld.view = '_:b1'
+    ld['@context'][1].view = {'@id': HYDRA + 'view', '@type': '@id'}
+    ld = [ld, {'@context': ld['@context'], id: '_:b1', type: 'PartialCollectionView', next: COLLECTION_URL + '?page=3'}]
+    let extracted = extract(ld, COLLECTION_URL)
+    assert.equal(extracted.view.type, 'PartialCollectionView')
+    assert.equal(extracted.view.next, COLLECTION_URL + '?page=3')
+    assert.equal(extracted.view.first, undefined)
+    assert.equal(extracted.api.template, EXTRACTED.api.template)
+  })
+})
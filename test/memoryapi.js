@@ -0,0 +1,93 @@
+/* eslint-env mocha */
+import assert from 'assert'
+
+import {MemoryAPI} from '../src/memoryapi.js'
+import {COLLECTION_URL, T1, T2, createGrid, createServer, rejection} from './helpers.js'
+
+function createStations () {
+  return [1, 2, 3, 4, 5].map(i => ({
+    axes: {t: [i % 2 === 0 ? T2 : T1], y: [50], x: [i]},
+    parameters: {temp: {values: [i]}},
+    metadata: {title: 'Station ' + i}
+  }))
+}
+
+describe('MemoryAPI', () => {
+  it('checks its options', () => {
+    assert.throws(() => new MemoryAPI({coverages: []}), /url/)
+    assert.throws(() => new MemoryAPI({url: COLLECTION_URL}), /coverages/)
+    assert.throws(() => new MemoryAPI({url: COLLECTION_URL, coverages: [], capabilities: ['format']}), /format/)
+  })
+
+  it('serves the collection and its coverages and records the requests', () => {
+    let server = createServer({coverages: createStations()})
+    return server.load(COLLECTION_URL).then(coll => {
+      assert.equal(coll.type, 'CoverageCollection')
+      assert.deepEqual(coll.coverages.map(cov => cov.id), [1, 2, 3, 4, 5].map(i => COLLECTION_URL + '/' + i))
+      return server.load(COLLECTION_URL + '/2')
+    }).then(cov => {
+      assert.equal(cov.ld.title, 'Station 2')
+      assert.deepEqual(server.requests, [COLLECTION_URL, COLLECTION_URL + '/2'])
+    })
+  })
+
+  it('describes the configured capabilities in the URL templates', () => {
+    let server = createServer({capabilities: ['filterBbox', 'subsetTimeStart']})
+    return server.load(COLLECTION_URL).then(coll => {
+      let node = coll.ld['@graph'][0]
+      assert.equal(node.api.template, COLLECTION_URL + '{?filterBbox,subsetTimeStart}')
+      assert.equal(coll.coverages[0].ld.api.template, COLLECTION_URL + '/1{?subsetTimeStart}')
+    })
+  })
+
+  it('filters and pages the collection', () => {
+    let server = createServer({coverages: createStations(), pageSize: 2})
+    let url = COLLECTION_URL + '?filterTimeStart=' + encodeURIComponent(T1) + '&filterTimeEnd=' + encodeURIComponent(T1)
+    return server.load(url).then(coll => {
+      assert.deepEqual(coll.coverages.map(cov => cov.ld.title), ['Station 1', 'Station 3'])
+      let node = coll.ld['@graph'][0]
+      assert.equal(node.totalItems, 3)
+      assert.equal(node.view.next, url + '&startIndex=3')
+      return server.load(node.view.next)
+    }).then(coll => {
+      assert.deepEqual(coll.coverages.map(cov => cov.ld.title), ['Station 5'])
+      assert.equal(coll.ld['@graph'][0].view.next, undefined)
+    })
+  })
+
+  it('subsets coverages', () => {
+    let server = createServer()
+    let url = COLLECTION_URL + '/1?subsetTimeStart=' + encodeURIComponent(T2) + '&subsetIndex=x%5B1%3A2%5D'
+    return server.load(url).then(cov => {
+      assert.equal(cov.id, url)
+      return Promise.all([cov.loadDomain(), cov.loadRange('temp')])
+    }).then(([domain, range]) => {
+      assert.deepEqual(domain.axes.get('t').values, [T2])
+      assert.deepEqual(domain.axes.get('x').values, [2, 3])
+      assert.deepEqual([range.get({x: 0}), range.get({x: 1})], [1, 2])
+    })
+  })
+
+  it('applies queries appended to the URL of a result after the previous ones', () => {
+    let server = createServer()
+    let url = COLLECTION_URL + '/1?subsetIndex=x%5B1%3A2%5D&subsetIndex=x%5B1%5D'
+    return server.load(url).then(cov => cov.loadDomain()).then(domain => {
+      assert.deepEqual(domain.axes.get('x').values, [3])
+    })
+  })
+
+  it('fails for unknown URLs and unsupported or empty subsets', () => {
+    let server = createServer({coverages: [createGrid()], capabilities: ['subsetBbox']})
+    return Promise.all([
+      rejection(server.load(COLLECTION_URL + '/2')),
+      rejection(server.load(COLLECTION_URL + '/1?sort=title')),
+      rejection(server.load(COLLECTION_URL + '/1?subsetBbox=10%2C0%2C20%2C10'))
+    ]).then(errors => {
+      assert.deepEqual(errors.map(e => e.message), [
+        'Not found: ' + COLLECTION_URL + '/2',
+        'Unsupported query parameter for a coverage: sort',
+        'The subset is empty'
+      ])
+    })
+  })
+})
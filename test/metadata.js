@@ -0,0 +1,92 @@
+/* eslint-env mocha */
+import assert from 'assert'
+
+import {ConstraintError} from '../src/client.js'
+import {matchesMetadataFilter, compareByMetadata} from '../src/metadata.js'
+import {T1, COLLECTION_URL, createServer, loadCollection, coverageNumbers} from './helpers.js'
+
+const TEMP = 'http://example.com/temp'
+const SALINITY = 'http://example.com/salinity'
+
+// coverages 1 and 3 measure temperature, 2 salinity, and 4 both
+function createStationServer (capabilities) {
+  let stations = [
+    {title: 'Buoy North', region: 'north', observed: [TEMP]},
+    {title: 'Buoy South', region: 'south', observed: [SALINITY]},
+    {title: 'Pier', region: 'north', observed: [TEMP]},
+    {title: 'Buoy West', region: ['west', 'south'], observed: [TEMP, SALINITY]}
+  ]
+  let coverages = stations.map(({title, region, observed}, i) => {
+    let parameters = {}
+    for (let uri of observed) {
+      parameters[uri === TEMP ? 'temp' : 'salinity'] = {values: [i], observedProperty: uri}
+    }
+    return {axes: {t: [T1], y: [50], x: [i]}, parameters, metadata: {title, region}}
+  })
+  return createServer({coverages, capabilities})
+}
+
+const FILTERS = [
+  [{observedProperty: SALINITY}, '2,4'],
+  [{observedProperty: [SALINITY, TEMP]}, '1,2,3,4'],
+  [{searchTerms: 'buoy SOUTH'}, '2,4'],
+  [{searchTerms: 'salinity'}, '2,4'],
+  [{metadata: {region: 'north'}}, '1,3'],
+  [{metadata: {region: ['west', 'south']}}, '2,4'],
+  [{metadata: {region: 'north', title: 'Pier'}}, '3']
+]
+
+describe('filtering collections by metadata', () => {
+  it('filters via the API', () => {
+    let server = createStationServer(['filterObservedProperty', 'filterSearchTerms', 'filterMetadata'])
+    return loadCollection(server).then(coll => {
+      return Promise.all(FILTERS.map(([filter]) => coll.query().filter(filter).execute()))
+    }).then(results => {
+      assert.deepEqual(results.map(coverageNumbers), FILTERS.map(([, numbers]) => numbers))
+      assert.deepEqual(server.requests.slice(1, 4), [
+        COLLECTION_URL + '?filterObservedProperty=' + encodeURIComponent(SALINITY),
+        COLLECTION_URL + '?filterObservedProperty=' + encodeURIComponent(SALINITY) + ',' + encodeURIComponent(TEMP),
+        COLLECTION_URL + '?filterSearchTerms=buoy%20SOUTH'
+      ])
+    })
+  })
+
+  it('filters locally without API support', () => {
+    let server = createStationServer([])
+    return loadCollection(server).then(coll => {
+      return Promise.all(FILTERS.map(([filter]) => coll.query().filter(filter).execute()))
+    }).then(results => {
+      assert.deepEqual(results.map(coverageNumbers), FILTERS.map(([, numbers]) => numbers))
+      assert.deepEqual(server.requests, [COLLECTION_URL])
+    })
+  })
+
+  it('rejects invalid metadata filters', () => {
+    return loadCollection(createStationServer()).then(coll => {
+      for (let filter of [{observedProperty: [1]}, {searchTerms: ['a']}, {metadata: 'north'}]) {
+        assert.throws(() => coll.query().filter(filter), ConstraintError)
+      }
+    })
+  })
+})
+
+describe('metadata', () => {
+  function createCoverage (ld) {
+    return {parameters: new Map([['temp', {key: 'temp', observedProperty: {id: TEMP, label: {en: 'Sea Temperature'}}}]]), ld}
+  }
+
+  it('matches JSON-LD values', () => {
+    let cov = createCoverage({region: {'@value': 'north'}, depth: [{'@value': 10}]})
+    assert(matchesMetadataFilter(cov, 'metadata', {region: 'north', depth: '10'}))
+    assert(!matchesMetadataFilter(cov, 'metadata', {region: 'south'}))
+    assert(matchesMetadataFilter(cov, 'searchTerms', 'sea temp'))
+    assert(matchesMetadataFilter(cov, 'observedProperty', TEMP))
+  })
+
+  it('sorts coverages without a value last', () => {
+    let covs = [createCoverage({rank: 2}), createCoverage({}), createCoverage({rank: 10})]
+    let ranks = order => covs.slice().sort((a, b) => compareByMetadata(a, b, 'rank', order)).map(cov => cov.ld.rank)
+    assert.deepEqual(ranks('asc'), [2, 10, undefined])
+    assert.deepEqual(ranks('desc'), [10, 2, undefined])
+  })
+})
@@ -0,0 +1,111 @@
+/* eslint-env mocha */
+import assert from 'assert'
+
+import {createServer, loadCollection} from './helpers.js'
+
+// seven coverages on four pages
+function createPagedServer () {
+  let coverages = [1, 2, 3, 4, 5, 6, 7].map(i => ({
+    axes: {y: [50], x: [i]},
+    parameters: {temp: {values: [i]}}
+  }))
+  return createServer({coverages, pageSize: 2})
+}
+
+/**
+ * Loads the collection of the server with a loader which fails for URLs containing the given string.
+ */
+function loadFailingCollection (server, failing) {
+  let loader = url => {
+    if (url.indexOf(failing) !== -1) {
+      server.requests.push(url)
+      return Promise.reject(new Error('Failed: ' + url))
+    }
+    return server.load(url)
+  }
+  return loadCollection(server, {loader})
+}
+
+/**
+ * Calls next() until iteration is done or fails, returning the coverage numbers
+ * and the error, if any.
+ */
+function collect (iterator, numbers = []) {
+  return iterator.next().then(({done, value}) => {
+    if (done) {
+      return {numbers}
+    }
+    return collect(iterator, [...numbers, value.id.substr(value.id.lastIndexOf('/') + 1)])
+  }, error => ({numbers, error}))
+}
+
+describe('iterating over the coverages of all pages', () => {
+  it('returns all coverages in order while loading pages ahead', () => {
+    let server = createPagedServer()
+    return loadCollection(server).then(coll => {
+      let iterator = coll.iterateCoverages({prefetch: 2})
+      // the first page is the collection itself
+      assert.equal(server.requests.length, 1)
+      return collect(iterator)
+    }).then(({numbers, error}) => {
+      assert.strictEqual(error, undefined)
+      assert.deepEqual(numbers, ['1', '2', '3', '4', '5', '6', '7'])
+      assert.equal(server.requests.length, 4)
+    })
+  })
+
+  it('does not pass the prefetch option to the loader', () => {
+    let server = createPagedServer()
+    let options = []
+    let loader = (url, opts) => {
+      options.push(opts)
+      return server.load(url)
+    }
+    return loadCollection(server, {loader}).then(coll => collect(coll.iterateCoverages({prefetch: 1}))).then(() => {
+      assert.equal(options.length, 3)
+      assert(options.every(opts => !('prefetch' in opts)))
+    })
+  })
+
+  it('fails once when a page fails to load and does not load pages after it', () => {
+    let server = createPagedServer()
+    return loadFailingCollection(server, 'startIndex=5').then(coll => collect(coll.iterateCoverages({prefetch: 2})))
+      .then(({numbers, error}) => {
+        assert.deepEqual(numbers, ['1', '2', '3', '4'])
+        assert.equal(error.url, server.requests[2])
+        assert.equal(server.requests.length, 3)
+      })
+  })
+
+  it('ends after a page failed to load', () => {
+    let server = createPagedServer()
+    return loadFailingCollection(server, 'startIndex=3').then(coll => {
+      let iterator = coll.iterateCoverages()
+      return collect(iterator).then(({numbers, error}) => {
+        assert.deepEqual(numbers, ['1', '2'])
+        assert(error)
+        return iterator.next()
+      })
+    }).then(({done}) => {
+      assert.strictEqual(done, true)
+    })
+  })
+
+  it('does not load further pages after return()', () => {
+    let server = createPagedServer()
+    return loadCollection(server).then(coll => {
+      let iterator = coll.iterateCoverages({prefetch: 2})
+      return iterator.next().then(({value}) => {
+        assert.equal(value.id, server.url + '/1')
+        return iterator.return()
+      }).then(({done}) => {
+        assert.strictEqual(done, true)
+        return iterator.next()
+      })
+    }).then(({done}) => {
+      assert.strictEqual(done, true)
+      // only the page which was loading already when iteration ended
+      assert.equal(server.requests.length, 2)
+    })
+  })
+})
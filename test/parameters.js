@@ -0,0 +1,60 @@
+/* eslint-env mocha */
+import assert from 'assert'
+
+import {ConstraintError} from '../src/client.js'
+import {T2, COLLECTION_URL, createServer, loadCoverage, rejection} from './helpers.js'
+
+describe('selecting parameters of wrapped coverages', () => {
+  it('selects parameters via the API', () => {
+    let server = createServer({capabilities: ['subsetParameters']})
+    return loadCoverage(server).then(cov => cov.selectParameters(['temp'])).then(selected => {
+      assert.equal(server.requests[server.requests.length - 1], COLLECTION_URL + '/1?subsetParameters=temp')
+      assert.deepEqual([...selected.parameters.keys()], ['temp'])
+      return selected.loadRange('temp')
+    }).then(range => {
+      assert.equal(range.get({t: 0, y: 0, x: 2}), 2)
+    })
+  })
+
+  it('drops the unwanted ranges locally without API support', () => {
+    let server = createServer({capabilities: []})
+    return loadCoverage(server).then(cov => cov.selectParameters(['salinity'])).then(selected => {
+      assert.deepEqual(server.requests, [COLLECTION_URL + '/1'])
+      assert.deepEqual([...selected.parameters.keys()], ['salinity'])
+      return Promise.all([selected.loadRanges(), rejection(selected.loadRange('temp'))])
+    }).then(([ranges, e]) => {
+      assert.deepEqual([...ranges.keys()], ['salinity'])
+      assert(e instanceof ConstraintError)
+      assert.equal(e.parameter, 'temp')
+    })
+  })
+
+  it('keeps the selection in subsets', () => {
+    let server = createServer({capabilities: []})
+    return loadCoverage(server).then(cov => cov.selectParameters(['temp']))
+      .then(selected => selected.subsetByValue({t: T2}))
+      .then(subset => {
+        assert.deepEqual([...subset.parameters.keys()], ['temp'])
+      })
+  })
+
+  it('applies the selection of subsets to the origin coverage', () => {
+    let server = createServer({capabilities: ['subsetTimeStart', 'subsetTimeEnd', 'subsetParameters']})
+    return loadCoverage(server).then(cov => cov.subsetByValue({x: 2}))
+      .then(subset => subset.selectParameters(['temp']))
+      .then(selected => {
+        assert.equal(server.requests[1], COLLECTION_URL + '/1?subsetParameters=temp')
+        assert.deepEqual([...selected.parameters.keys()], ['temp'])
+        return selected.loadDomain()
+      }).then(domain => {
+        assert.deepEqual(domain.axes.get('x').values, [2])
+      })
+  })
+
+  it('rejects unknown parameters', () => {
+    return loadCoverage(createServer()).then(cov => rejection(cov.selectParameters(['pressure']))).then(e => {
+      assert(e instanceof ConstraintError)
+      assert.equal(e.parameter, 'pressure')
+    })
+  })
+})
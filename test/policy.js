@@ -0,0 +1,150 @@
+/* eslint-env mocha */
+import assert from 'assert'
+
+import {LoaderError, CircuitOpenError} from '../src/client.js'
+import {T2, createServer, loadCoverage, createFailingLoader, recordEvents, rejection} from './helpers.js'
+
+const POLICY_EVENTS = ['retry', 'circuitOpen', 'circuitHalfOpen', 'circuitClose', 'fallback']
+
+/**
+ * Returns a server with time subsetting support and a loader for it whose first requests
+ * fail with the given HTTP status, see createFailingLoader().
+ */
+function createFailingServer (status, failures) {
+  let server = createServer({capabilities: ['subsetTimeStart', 'subsetTimeEnd']})
+  return {server, loader: createFailingLoader(server, status, failures)}
+}
+
+/**
+ * Loads the first coverage of the server and wraps it with the loader and the given options,
+ * returning the wrapped coverage and an array which records the policy events.
+ */
+function loadWithPolicy (server, loader, options) {
+  let {events, log} = recordEvents(POLICY_EVENTS)
+  return loadCoverage(server, Object.assign({loader: loader.load, events}, options)).then(cov => ({cov, log}))
+}
+
+function subset (cov) {
+  return cov.subsetByValue({t: {start: T2, stop: T2}})
+}
+
+describe('request policies', () => {
+  it('retries requests failing with transient errors', () => {
+    let {server, loader} = createFailingServer(503, 2)
+    return loadWithPolicy(server, loader, {policy: {retries: 2, retryDelay: 1}}).then(({cov, log}) => {
+      return subset(cov).then(sub => sub.loadDomain()).then(domain => {
+        assert.deepEqual(domain.axes.get('t').values, [T2])
+        assert.equal(loader.attempts, 3)
+        assert.deepEqual(log, ['retry', 'retry'])
+      })
+    })
+  })
+
+  it('fails with the last error once all retries failed', () => {
+    let {server, loader} = createFailingServer(503)
+    return loadWithPolicy(server, loader, {policy: {retries: 2, retryDelay: 1}}).then(({cov, log}) => {
+      return rejection(subset(cov)).then(e => {
+        assert(e instanceof LoaderError)
+        assert.equal(e.cause.status, 503)
+        assert.equal(loader.attempts, 3)
+        assert.deepEqual(log, ['retry', 'retry'])
+      })
+    })
+  })
+
+  it('does not retry requests failing with other errors', () => {
+    let {server, loader} = createFailingServer(404)
+    return loadWithPolicy(server, loader, {policy: {retries: 2, retryDelay: 1}}).then(({cov, log}) => {
+      return rejection(subset(cov)).then(e => {
+        assert(e instanceof LoaderError)
+        assert.equal(e.cause.status, 404)
+        assert.equal(loader.attempts, 1)
+        assert.deepEqual(log, [])
+      })
+    })
+  })
+
+  it('decides with isTransient which errors are retried', () => {
+    let {server, loader} = createFailingServer(404, 1)
+    let policy = {retries: 1, retryDelay: 1, isTransient: e => e.status === 404}
+    return loadWithPolicy(server, loader, {policy}).then(({cov, log}) => subset(cov).then(() => {
+      assert.equal(loader.attempts, 2)
+      assert.deepEqual(log, ['retry'])
+    }))
+  })
+
+  it('opens the circuit after repeated failures and closes it again after the reset timeout', () => {
+    let {server, loader} = createFailingServer(503)
+    let policy = {retries: 1, retryDelay: 1, circuitBreaker: {failureThreshold: 2, resetTimeout: 20}}
+    return loadWithPolicy(server, loader, {policy}).then(({cov, log}) => {
+      let fail = () => rejection(subset(cov))
+      return fail().then(fail).then(() => {
+        assert.equal(loader.attempts, 4)
+        assert.deepEqual(log, ['retry', 'retry', 'circuitOpen'])
+        return fail()
+      }).then(e => {
+        assert(e instanceof CircuitOpenError)
+        assert.equal(loader.attempts, 4)
+        loader.failures = 0
+        return new Promise(resolve => setTimeout(resolve, 30))
+      }).then(() => subset(cov)).then(() => {
+        assert.equal(loader.attempts, 5)
+        assert.deepEqual(log, ['retry', 'retry', 'circuitOpen', 'circuitHalfOpen', 'circuitClose'])
+      })
+    })
+  })
+
+  it('does not count responses with non-transient errors as failures of the circuit', () => {
+    let {server, loader} = createFailingServer(404)
+    let policy = {circuitBreaker: {failureThreshold: 1, resetTimeout: 60000}}
+    return loadWithPolicy(server, loader, {policy}).then(({cov, log}) => {
+      return rejection(subset(cov)).then(() => rejection(subset(cov))).then(e => {
+        assert(e instanceof LoaderError)
+        assert.equal(loader.attempts, 2)
+        assert.deepEqual(log, [])
+      })
+    })
+  })
+
+  it('falls back to local subsetting only while the circuit is open', () => {
+    let {server, loader} = createFailingServer(503)
+    let policy = {fallbackToLocal: true, circuitBreaker: {failureThreshold: 2, resetTimeout: 60000}}
+    return loadWithPolicy(server, loader, {policy}).then(({cov, log}) => {
+      return rejection(subset(cov)).then(e => {
+        assert.equal(e.cause.status, 503)
+        assert.deepEqual(log, [])
+        return subset(cov)
+      }).then(sub => {
+        assert.deepEqual(log, ['circuitOpen', 'fallback'])
+        // the circuit is open, so no further requests are made
+        return subset(cov).then(() => sub.loadDomain())
+      }).then(domain => {
+        assert.deepEqual(domain.axes.get('t').values, [T2])
+        assert.equal(loader.attempts, 2)
+      })
+    })
+  })
+
+  it('does not fall back to local subsetting if the localFallback option forbids it', () => {
+    let {server, loader} = createFailingServer(503)
+    let policy = {fallbackToLocal: true, circuitBreaker: {failureThreshold: 1, resetTimeout: 60000}}
+    return loadWithPolicy(server, loader, {policy, localFallback: 'server-only'}).then(({cov, log}) => {
+      return rejection(subset(cov)).then(e => {
+        // the request failure is reported rather than the forbidden fallback
+        assert(e instanceof LoaderError)
+        assert.equal(e.cause.status, 503)
+        assert.deepEqual(log, ['circuitOpen'])
+      })
+    })
+  })
+
+  it('rejects invalid policies', () => {
+    let {server, loader} = createFailingServer(503)
+    let policies = [{retries: -1}, {backoffFactor: 0.5}, {isTransient: true}, {circuitBreaker: {failureThreshold: 0}}]
+    return Promise.all(policies.map(policy => rejection(loadWithPolicy(server, loader, {policy})))).then(errors => {
+      for (let e of errors) {
+        assert(/options\.policy/.test(e.message))
+      }
+    })
+  })
+})
@@ -0,0 +1,118 @@
+/* eslint-env mocha */
+import assert from 'assert'
+
+import {CapabilityError, ConstraintError} from '../src/client.js'
+import {URL_PROPS} from '../src/api.js'
+import {T1, T2, COLLECTION_URL, createServer, loadCollection, coverageNumbers, rejection} from './helpers.js'
+
+const FILTER_TIME = ['filterTimeStart', 'filterTimeEnd', 'itemsPerPage', 'startIndex']
+
+// coverage number i + 1 has the x values [i, i+1, i+2], the time step T1 for even i and T2 for odd i,
+// and the rank 7 - i, with pages of three coverages by default
+function createStationServer (capabilities, pageSize = 3) {
+  let coverages = [0, 1, 2, 3, 4, 5, 6].map(i => ({
+    axes: {t: [i % 2 === 0 ? T1 : T2], y: [50], x: [i, i + 1, i + 2]},
+    parameters: {temp: {values: [i, i, i]}},
+    metadata: {title: 'Coverage ' + i, rank: 7 - i}
+  }))
+  return createServer({coverages, capabilities, pageSize})
+}
+
+describe('querying wrapped collections', () => {
+  it('executes a query on the server', () => {
+    let server = createStationServer()
+    return loadCollection(server).then(coll => coll.query().filter({x: {start: 7, stop: 10}, y: {start: 49, stop: 51}}).execute()).then(result => {
+      assert.equal(coverageNumbers(result), '6,7')
+      assert.equal(server.requests[server.requests.length - 1], COLLECTION_URL + '?filterBbox=7%2C49%2C10%2C51')
+    })
+  })
+
+  it('applies local filters on each page of the result', () => {
+    let server = createStationServer(FILTER_TIME)
+    let filter = {t: {start: T1, stop: T1}, x: {start: 3, stop: 7}}
+    return loadCollection(server).then(coll => coll.query().filter(filter).execute()).then(result => {
+      // the first page of the server result has the coverages 1, 3, and 5
+      assert.equal(coverageNumbers(result), '3,5')
+      assert.equal(result.paging.total, 4)
+      assert.strictEqual(result.paging.totalIsApproximate, true)
+      return result.paging.next.load()
+    }).then(page => {
+      assert.equal(coverageNumbers(page), '7')
+      assert.strictEqual(page.paging.next, undefined)
+      return page.paging.previous.load()
+    }).then(page => {
+      assert.equal(coverageNumbers(page), '3,5')
+    })
+  })
+
+  it('applies local subsets on each page of the result', () => {
+    let server = createStationServer(FILTER_TIME)
+    let filter = {t: {start: T1, stop: T1}}
+    return loadCollection(server).then(coll => coll.query().filter(filter).subset({x: {start: 4, stop: 6}}).execute()).then(result => {
+      assert.strictEqual(result.paging.totalIsApproximate, undefined)
+      return result.paging.next.load()
+    }).then(page => {
+      assert.equal(page.coverages.length, 1)
+      return page.coverages[0].loadDomain()
+    }).then(domain => {
+      assert.deepEqual(domain.axes.get('x').values, [6])
+    })
+  })
+})
+
+describe('sorting and paging collection queries', () => {
+  it('loads arbitrary pages of a sorted and limited result', () => {
+    let server = createStationServer()
+    return loadCollection(server).then(coll => coll.query().sort('rank').limit(2).execute()).then(result => {
+      assert.equal(coverageNumbers(result), '7,6')
+      return result.paging.page(2).load()
+    }).then(page => {
+      assert.equal(coverageNumbers(page), '3,2')
+      assert.equal(server.requests[server.requests.length - 1], COLLECTION_URL + '?itemsPerPage=2&startIndex=5&sort=rank')
+      return page.paging.page(1).load()
+    }).then(page => {
+      assert.equal(coverageNumbers(page), '5,4')
+    })
+  })
+
+  it('loads arbitrary pages of the collection', () => {
+    let server = createStationServer()
+    return loadCollection(server).then(coll => {
+      assert.equal(coll.paging.total, 7)
+      return coll.paging.page(1).load()
+    }).then(page => {
+      assert.equal(coverageNumbers(page), '4,5,6')
+      return page.paging.page(0).load()
+    }).then(page => {
+      assert.equal(coverageNumbers(page), '1,2,3')
+    })
+  })
+
+  it('sorts and limits collections without pages locally', () => {
+    let server = createStationServer([], 10)
+    return loadCollection(server).then(coll => coll.query().sort('rank', 'asc').offset(1).limit(3).execute()).then(result => {
+      assert.equal(coverageNumbers(result), '6,5,4')
+      assert.deepEqual(server.requests, [COLLECTION_URL])
+    })
+  })
+
+  it('rejects local paging of paged collections', () => {
+    let server = createStationServer(['startIndex'])
+    return loadCollection(server).then(coll => rejection(coll.query().limit(2).execute())).then(e => {
+      assert(e instanceof CapabilityError)
+      assert.equal(e.operation, 'paging')
+      assert.equal(e.concept, 'limit')
+      assert.equal(e.constraint, 2)
+      assert.deepEqual(e.missingUrlProperties, [URL_PROPS.itemsPerPage])
+    })
+  })
+
+  it('rejects invalid paging constraints', () => {
+    return loadCollection(createStationServer()).then(coll => {
+      assert.throws(() => coll.query().sort('rank', 'up'), ConstraintError)
+      assert.throws(() => coll.query().limit(0), ConstraintError)
+      assert.throws(() => coll.query().offset(-1), ConstraintError)
+      assert.throws(() => coll.paging.page(-1), ConstraintError)
+    })
+  })
+})
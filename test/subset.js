@@ -0,0 +1,281 @@
+/* eslint-env mocha */
+import assert from 'assert'
+
+import {wrap, ConstraintError, LocalFallbackError} from '../src/client.js'
+
+import {T1, T2, COLLECTION_URL, createGrid, createServer, loadCoverage, loadCollection, recordEvents, rejection} from './helpers.js'
+
+const TIME_SUBSETTING = ['subsetTimeStart', 'subsetTimeEnd']
+
+describe('subsetting coverages of wrapped collections', () => {
+  it('subsets each coverage via the API described in the collection', () => {
+    let server = createServer({coverages: [createGrid(), createGrid()]})
+    let url = COLLECTION_URL + '/2?subsetTimeStart=2015-01-02T00%3A00%3A00Z&subsetTimeEnd=2015-01-02T00%3A00%3A00Z'
+    let {events, log} = recordEvents(['discover'], true)
+    let discovered = () => log.map(([type, event]) => event.id)
+    return loadCollection(server, {events}).then(coll => {
+      // the API of a coverage is only discovered when it is needed
+      assert.deepEqual(discovered(), [COLLECTION_URL])
+      return coll.coverages[1].subsetByValue({t: T2})
+    }).then(subset => {
+      assert.deepEqual(discovered(), [COLLECTION_URL, COLLECTION_URL + '/2', url])
+      assert.equal(server.requests[server.requests.length - 1], url)
+      return subset.loadDomain()
+    }).then(domain => {
+      assert.deepEqual(domain.axes.get('t').values, [T2])
+    })
+  })
+
+  it('wraps the subsets of coverages of wrapped collections', () => {
+    let server = createServer()
+    return loadCollection(server).then(coll => coll.coverages[0].subsetByValue({t: T2})).then(subset => {
+      return subset.subsetByIndex({x: 1})
+    }).then(subset => {
+      assert.equal(server.requests[server.requests.length - 1],
+        COLLECTION_URL + '/1?subsetTimeStart=2015-01-02T00%3A00%3A00Z&subsetTimeEnd=2015-01-02T00%3A00%3A00Z&subsetIndex=x%5B1%5D')
+      return subset.loadDomain()
+    }).then(domain => {
+      assert.deepEqual(domain.axes.get('x').values, [2])
+    })
+  })
+})
+
+describe('subsetting locally subsetted coverages', () => {
+  function loadLocalSubset (constraints) {
+    let server = createServer({capabilities: TIME_SUBSETTING})
+    return loadCoverage(server).then(cov => cov.subsetByValue(constraints)).then(subset => ({server, subset}))
+  }
+
+  it('replays the constraints on the origin coverage via the API', () => {
+    return loadLocalSubset({x: {start: 2, stop: 3}}).then(({server, subset}) => {
+      assert.deepEqual(server.requests, [COLLECTION_URL + '/1'])
+      return subset.subsetByValue({t: T2}).then(subset => {
+        assert.equal(server.requests[server.requests.length - 1],
+          COLLECTION_URL + '/1?subsetTimeStart=2015-01-02T00%3A00%3A00Z&subsetTimeEnd=2015-01-02T00%3A00%3A00Z')
+        return subset.loadDomain()
+      })
+    }).then(domain => {
+      assert.deepEqual(domain.axes.get('t').values, [T2])
+      assert.deepEqual(domain.axes.get('x').values, [2, 3])
+    })
+  })
+
+  it('intersects ranges of the same axis', () => {
+    return loadLocalSubset({x: {start: 2, stop: 3}})
+      .then(({subset}) => subset.explainSubsetByValue({x: {start: 1, stop: 2}, t: T2}))
+      .then(plan => {
+        assert.deepEqual(plan.constraints.x, {start: 2, stop: 2})
+      })
+  })
+
+  it('rejects ranges which are disjoint with the previous range', () => {
+    return loadLocalSubset({x: {start: 2, stop: 3}})
+      .then(({subset}) => rejection(subset.subsetByValue({x: {start: 0, stop: 1}, t: T2})))
+      .then(e => {
+        assert(e instanceof ConstraintError)
+        assert.equal(e.axis, 'x')
+      })
+  })
+
+  it('keeps or rejects single axis values depending on later ranges', () => {
+    return loadLocalSubset({x: 2, y: {start: 50, stop: 51}}).then(({subset}) => {
+      return Promise.all([
+        subset.subsetByValue({x: {start: 1, stop: 2}, t: T2}).then(subset => subset.loadDomain()),
+        rejection(subset.subsetByValue({x: {start: 3, stop: 3}, t: T2}))
+      ])
+    }).then(([domain, e]) => {
+      assert.deepEqual(domain.axes.get('x').values, [2])
+      assert.deepEqual(domain.axes.get('t').values, [T2])
+      assert(e instanceof ConstraintError)
+    })
+  })
+})
+
+describe('emulating value subsets with index subsets', () => {
+  function loadIndexOnlyCoverage (spec = createGrid()) {
+    let server = createServer({coverages: [spec], capabilities: ['subsetIndex']})
+    return loadCoverage(server).then(cov => ({server, cov}))
+  }
+
+  it('requests the matching indices in a single request', () => {
+    return loadIndexOnlyCoverage().then(({server, cov}) => {
+      return cov.subsetByValue({t: T2, x: {start: 1.6, stop: 3}, y: {target: 50.8}}).then(subset => {
+        assert.deepEqual(server.requests.slice(1), [COLLECTION_URL + '/1?subsetIndex=t%5B1%5D,x%5B1%3A2%5D,y%5B1%5D'])
+        return subset.loadDomain()
+      })
+    }).then(domain => {
+      assert.deepEqual(domain.axes.get('t').values, [T2])
+      assert.deepEqual(domain.axes.get('x').values, [2, 3])
+      assert.deepEqual(domain.axes.get('y').values, [51])
+    })
+  })
+
+  it('matches time ranges and wrapped longitudes', () => {
+    let spec = {
+      axes: {t: [T1, T2], y: [0], x: [0, 90, 180, 270]},
+      parameters: {temp: {values: obj => obj.x}}
+    }
+    return loadIndexOnlyCoverage(spec).then(({cov}) => {
+      return cov.explainSubsetByValue({t: {start: T1, stop: '2015-01-01T12:00:00Z'}, x: {start: -100, stop: -80}})
+    }).then(plan => {
+      assert.deepEqual(plan.server.subset, {index: {t: {start: 0, stop: 0}, x: {start: 3, stop: 3}}})
+      assert.deepEqual(plan.local.subset, {})
+    })
+  })
+})
+
+describe('snapping value subsets to axis steps', () => {
+  const T0 = '2014-12-31T00:00:00Z'
+  const T3 = '2015-01-03T00:00:00Z'
+
+  // time steps whose values are the ends of their bounds, as in WaterML
+  function loadCoverageWithBounds () {
+    let server = createServer({
+      coverages: [{axes: {t: [T1, T2, T3], y: [50], x: [1]}, parameters: {temp: {values: [1, 2, 3]}}}],
+      capabilities: TIME_SUBSETTING
+    })
+    let bounds = [[T0, T1], [T1, T2], [T2, T3]]
+    return server.load(COLLECTION_URL + '/1').then(cov => {
+      let loadDomain = cov.loadDomain
+      cov.loadDomain = () => loadDomain().then(domain => {
+        domain.axes.get('t').bounds = {get: i => bounds[i]}
+        return domain
+      })
+      return wrap(cov, {loader: server.loader})
+    })
+  }
+
+  it('uses the middle of bounds shared with neighboring steps', () => {
+    return loadCoverageWithBounds().then(cov => cov.explainSubsetByValue({t: {target: T2}})).then(plan => {
+      let middle = '2015-01-01T12:00:00.000Z'
+      assert.deepEqual(plan.server.subset, {time: {start: middle, stop: middle}})
+    })
+  })
+
+  it('snaps ranges to the intersecting steps', () => {
+    return loadCoverageWithBounds().then(cov => cov.explainSubsetByValue({t: {start: '2015-01-01T06:00:00Z', stop: '2015-01-01T18:00:00Z'}})).then(plan => {
+      let middle = '2015-01-01T12:00:00.000Z'
+      assert.deepEqual(plan.server.subset, {time: {start: middle, stop: middle}})
+    })
+  })
+
+  it('pads axes without bounds by half a step unless they contain points', () => {
+    let server = createServer({capabilities: TIME_SUBSETTING})
+    let target = {t: {target: '2014-12-31T18:00:00Z'}}
+    return Promise.all([
+      loadCoverage(server).then(cov => cov.explainSubsetByValue(target)),
+      loadCoverage(server, {domainHints: {t: 'point'}}).then(cov => cov.explainSubsetByValue(target))
+    ]).then(([cellPlan, pointPlan]) => {
+      assert.deepEqual(cellPlan.server.subset, {time: {start: T1, stop: T1}})
+      assert.deepEqual(pointPlan.server.subset, {})
+      assert.deepEqual(pointPlan.local.subset, target)
+    })
+  })
+})
+
+describe('subsetting across the antimeridian', () => {
+  function loadGlobalCoverage (x, capabilities, options) {
+    let server = createServer({
+      coverages: [{axes: {t: [T1, T2], y: [0], x}, parameters: {temp: {values: obj => x[obj.x]}}}],
+      capabilities
+    })
+    return loadCoverage(server, options).then(cov => ({server, cov}))
+  }
+
+  function getValues (cov) {
+    return Promise.all([cov.loadDomain(), cov.loadRange('temp')]).then(([domain, range]) => {
+      let xs = domain.axes.get('x').values
+      return {x: Array.from(xs), temp: xs.map((v, i) => range.get({x: i}))}
+    })
+  }
+
+  const X = [-150, -90, -30, 30, 90, 150]
+  const CROSSING = {x: {start: 120, stop: -120}}
+  // without time subsetting, t is subsetted locally
+  const CROSSING_LOCAL = {x: {start: 120, stop: -120}, y: {start: -10, stop: 10}, t: T1}
+
+  it('requests both sides and stitches them together', () => {
+    return loadGlobalCoverage(X, ['subsetIndex']).then(({server, cov}) => {
+      return cov.subsetByValue(CROSSING).then(subset => {
+        assert.deepEqual(server.requests.slice(1), [
+          COLLECTION_URL + '/1?subsetIndex=x%5B5%5D',
+          COLLECTION_URL + '/1?subsetIndex=x%5B0%5D'
+        ])
+        return getValues(subset)
+      })
+    }).then(values => {
+      assert.deepEqual(values, {x: [150, 210], temp: [150, -150]})
+    })
+  })
+
+  it('stitches descending axes in axis order', () => {
+    return loadGlobalCoverage(X.slice().reverse(), ['subsetIndex'])
+      .then(({cov}) => cov.subsetByValue(CROSSING))
+      .then(getValues).then(values => {
+        assert.deepEqual(values, {x: [-150, -210], temp: [-150, 150]})
+      })
+  })
+
+  it('checks the local fallback of all parts before requesting any', () => {
+    return loadGlobalCoverage(X, ['subsetBbox'], {localFallback: 'server-only'}).then(({server, cov}) => {
+      return rejection(cov.subsetByValue(CROSSING_LOCAL)).then(e => {
+        assert(e instanceof LocalFallbackError)
+        assert.equal(e.plan.split.parts.length, 2)
+        assert.equal(server.requests.length, 1)
+      })
+    })
+  })
+
+  it('checks the budget against the sum of all parts', () => {
+    let x = [-150, -120, -90, 90, 120, 150]
+    let constraints = {x: {start: 100, stop: -100}, y: {start: -10, stop: 10}, t: T1}
+    return loadGlobalCoverage(x, ['subsetBbox']).then(({cov}) => cov.explainSubsetByValue(constraints))
+      .then(plan => {
+        assert.deepEqual(plan.split.parts.map(part => part.localSize), [4, 4])
+        assert.equal(plan.localSize, 8)
+        return loadGlobalCoverage(x, ['subsetBbox'], {localFallbackBudget: 5})
+      })
+      .then(({server, cov}) => rejection(cov.subsetByValue(constraints)).then(e => {
+        assert(e instanceof LocalFallbackError)
+        assert.equal(server.requests.length, 1)
+      }))
+  })
+
+  it('emits a single localFallback event for the split plan', () => {
+    let {events, log} = recordEvents(['localFallback'], true)
+    return loadGlobalCoverage(X, ['subsetBbox'], {events}).then(({cov}) => cov.subsetByValue(CROSSING_LOCAL)).then(() => {
+      assert.equal(log.length, 1)
+      assert.equal(log[0][1].method, 'subsetByValue')
+      assert.equal(log[0][1].plan.split.parts.length, 2)
+    })
+  })
+})
+
+describe('target subsetting via the API', () => {
+  const TARGETS = ['subsetPosition', 'subsetTimeTarget']
+
+  it('sends time targets to the server', () => {
+    let server = createServer({capabilities: TARGETS})
+    let t = {target: '2015-01-01T18:00:00Z'}
+    return loadCoverage(server).then(cov => cov.subsetByValue({t})).then(subset => {
+      assert.equal(server.requests[1], COLLECTION_URL + '/1?subsetTimeTarget=2015-01-01T18%3A00%3A00Z')
+      return subset.loadDomain()
+    }).then(domain => {
+      assert.deepEqual(domain.axes.get('t').values, [T2])
+    })
+  })
+
+  it('sends x and y targets together as position', () => {
+    let server = createServer({capabilities: TARGETS})
+    return loadCoverage(server).then(cov => Promise.all([
+      cov.explainSubsetByValue({x: {target: 2}, y: {target: 50}}),
+      cov.explainSubsetByValue({x: {target: 2}})
+    ])).then(([position, x]) => {
+      assert.equal(position.url, COLLECTION_URL + '/1?subsetPosition=2%2C50')
+      assert.deepEqual(position.server.subset, {x: {target: 2}, y: {target: 50}})
+      assert.strictEqual(x.url, undefined)
+      assert.deepEqual(x.local.subset, {x: {target: 2}})
+      assert.equal(x.reasons.subset.x.reason, 'API requires a target on y as well')
+    })
+  })
+})